@@ -4,26 +4,65 @@
      * Main client-side logic for the iGroovie 4K Text Thrower.
      *
      * Responsibilities:
-     * - Manage a 3840×2160 canvas where text items are placed.
-     * - Provide pointer-based placement and drag-to-move functionality.
-     * - Maintain Undo/Redo stacks (snapshot-based) for user actions.
+     * - Manage the canvas where text items are placed (3840×2160 by default;
+     *   the size is a project setting with named presets).
+     * - Lay out, hit-test and draw items through render.js, which also
+     *   backs the Node command-line renderer (render-cli.js).
+     * - Add image layers (logos, pictures) from a file picker, paste or drop.
+     * - Draw vector shape layers (bars, boxes, ellipses, lines, arrows).
+     * - Start from built-in or saved layout templates scaled to the canvas.
+     * - Provide pointer-based placement and drag-to-move functionality,
+     *   plus on-canvas handles to resize and rotate the selected item.
+     * - Select placed items and edit them live through the sidebar controls.
+     * - List items in a layers panel to reorder, hide, lock, rename and duplicate.
+     * - Snap dragged/placed items to guides and show broadcast safe areas.
+     * - Preview titles over a reference image or video frame (not exported).
+     * - Import custom font files and keep them in IndexedDB for offline use.
+     * - Keep a labeled, command-based Undo/Redo history with a history panel.
      * - Render hover preview, sync UI controls (range + number), and export PNG.
+     * - Save/open `.igroovie` project files and autosave to localStorage.
+     * - Batch-export `{{field}}` templates from CSV/JSON rows as a ZIP of PNGs.
+     * - Animate items in and out on a small timeline and export the clip as
+     *   a transparent PNG sequence or a WebM video.
      */
 
     /*
      * REVIEW NOTE (2025-12-01):
      * - Quick code review completed: DOM IDs referenced by this script exist
      *   in `index.html`. No syntax errors found.
-     * - The `Delete` button was removed from the UI; all references were
-     *   cleaned up earlier. The Clear action now shows a confirmation.
+     * - The old global `Delete` button was removed from the UI; per-item
+     *   delete now acts on the selection (Delete/Backspace or the sidebar
+     *   button). The Clear action now shows a confirmation.
      * - No unsafe unguarded DOM accesses remain; event listeners are
      *   registered only when elements are present.
      */
 
-    // Canvas target resolution (4K)
+    // Default canvas resolution (4K UHD). The size is a project setting; see CANVAS_PRESETS.
     const CANVAS_W = 3840;
     const CANVAS_H = 2160;
 
+    // Named canvas sizes offered in the sidebar. `slug` ends up in export filenames.
+    const CANVAS_PRESETS = [
+        { id: '4k', label: '4K UHD (3840×2160)', width: 3840, height: 2160, slug: '4k' },
+        { id: 'dci-4k', label: 'DCI 4K (4096×2160)', width: 4096, height: 2160, slug: 'dci4k' },
+        { id: '1080p', label: '1080p (1920×1080)', width: 1920, height: 1080, slug: '1080p' },
+        { id: 'vertical', label: 'Vertical 9:16 (1080×1920)', width: 1080, height: 1920, slug: 'vertical' },
+        { id: 'vertical-4k', label: 'Vertical 9:16 (2160×3840)', width: 2160, height: 3840, slug: 'vertical4k' },
+        { id: 'square', label: 'Square 1:1 (2160×2160)', width: 2160, height: 2160, slug: 'square' }
+    ];
+
+    // The item model, text layout, hit-testing and drawing live in render.js
+    // (loaded first), which the Node CLI shares; see render-cli.js.
+    const {
+        MIN_CANVAS_SIDE, MAX_CANVAS_SIDE, STYLE_DEFAULTS, STYLE_FIELDS, SHAPE_FIELDS, ANIM_DEFAULTS, ANIM_FIELDS,
+        PROJECT_FORMAT, PROJECT_VERSION, BUILTIN_TEMPLATES, PLACEHOLDER_RE,
+        styleDefaults, imageDefaults, shapeDefaults, normalizeItem, defaultTextAlign, scaleItemBy,
+        clamp, hexToRgb, colorWithAlpha, itemOpacity, fontFamilyToCSS,
+        hasRuns, runSegments, styleRange, adjustRunsForEdit, setRuns, styledSegments, isPathText,
+        itemMatrix, applyMatrix, invertMatrix, itemScale, corners, gradientGeometry, arrowHead,
+        validateProject, fillItemText, parseCSV, parseRecordsJSON, filenameFromText, batchFileName
+    } = IgroovieRender;
+
     // Grab main canvas and 2D rendering context
     const canvas = document.getElementById('canvas');
     const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
@@ -44,121 +83,417 @@
     const clearBtn = document.getElementById('clear');
     const downloadBtn = document.getElementById('download');
     const centerBtn = document.getElementById('centerText');
+    const addImageBtn = document.getElementById('add-image');
+    const imageFileInput = document.getElementById('image-file');
+    const addShapeBtn = document.getElementById('add-shape');
+    const templatesPanelEl = document.getElementById('templates-panel');
+    const templateListEl = document.getElementById('template-list');
+    const saveTemplateBtn = document.getElementById('save-template');
     const undoBtn = document.getElementById('undo');
     const redoBtn = document.getElementById('redo');
     const fontRange = document.getElementById('font-size-range'); // slider
     const fontPreviewEl = document.getElementById('font-preview');
     const fontPanelEl = document.getElementById('font-panel');
     const fontLoadingEl = document.getElementById('font-loading');
+    const fontUploadBtn = document.getElementById('font-upload');
+    const fontFileInput = document.getElementById('font-file');
+    const customFontsGroup = document.getElementById('custom-fonts');
     const colorSwatch = document.getElementById('color-swatch');
+    const saveProjectBtn = document.getElementById('save-project');
+    const openProjectBtn = document.getElementById('open-project');
+    const projectFileInput = document.getElementById('project-file');
+    const deleteBtn = document.getElementById('delete-selected');
+    const selectionInfoEl = document.getElementById('selection-info');
+    const textAlignSelect = document.getElementById('text-align');
+    const lineHeightInput = document.getElementById('line-height');
+    const maxWidthInput = document.getElementById('max-width');
+    const resetTransformBtn = document.getElementById('reset-transform');
+    const resetPathBtn = document.getElementById('reset-path');
+    const canvasPresetSelect = document.getElementById('canvas-preset');
+    const canvasWInput = document.getElementById('canvas-w');
+    const canvasHInput = document.getElementById('canvas-h');
+    const applyCanvasSizeBtn = document.getElementById('apply-canvas-size');
+    const resizeModeSelect = document.getElementById('resize-mode');
+    const canvasSizeLabel = document.getElementById('canvas-size-label');
+    const exportTrimToggle = document.getElementById('export-trim');
+    const trimPaddingInput = document.getElementById('trim-padding');
+    const trimOffsetSelect = document.getElementById('trim-offset');
+    const exportFormatSelect = document.getElementById('export-format');
+    const animDurationInput = document.getElementById('anim-duration');
+    const animFpsSelect = document.getElementById('anim-fps');
+    const animTimelineEl = document.getElementById('anim-timeline');
+    const animTimeInput = document.getElementById('anim-time');
+    const animTimeLabel = document.getElementById('anim-time-label');
+    const animPreviewToggle = document.getElementById('anim-preview');
+    const animPlayBtn = document.getElementById('anim-play');
+    const animStatusEl = document.getElementById('anim-status');
+    const snapToggle = document.getElementById('snap-on');
+    const snapGridToggle = document.getElementById('snap-grid');
+    const snapGridInput = document.getElementById('grid-size');
+    const actionSafeToggle = document.getElementById('action-safe');
+    const actionSafeInput = document.getElementById('action-safe-pct');
+    const titleSafeToggle = document.getElementById('title-safe');
+    const titleSafeInput = document.getElementById('title-safe-pct');
+    const bgLoadBtn = document.getElementById('bg-load');
+    const bgClearBtn = document.getElementById('bg-clear');
+    const bgFileInput = document.getElementById('bg-file');
+    const bgNameEl = document.getElementById('bg-name');
+    const bgScrubRow = document.getElementById('bg-scrub-row');
+    const bgTimeInput = document.getElementById('bg-time');
+    const bgTimeLabel = document.getElementById('bg-time-label');
+    const bgFitSelect = document.getElementById('bg-fit');
+    const bgDimInput = document.getElementById('bg-dim');
+    const bgShowToggle = document.getElementById('bg-show');
+    const bgCheckerToggle = document.getElementById('bg-checker');
+    const historyPanelEl = document.getElementById('history-panel');
+    const historyListEl = document.getElementById('history-list');
+    const layersListEl = document.getElementById('layers-list');
+    const layerForwardBtn = document.getElementById('layer-forward');
+    const layerBackwardBtn = document.getElementById('layer-backward');
+    const layerRenameBtn = document.getElementById('layer-rename');
+    const layerDuplicateBtn = document.getElementById('layer-duplicate');
+    const groupBtn = document.getElementById('group-items');
+    const ungroupBtn = document.getElementById('ungroup-items');
+    const alignToSelect = document.getElementById('align-to');
+    const shortcutsEl = document.getElementById('shortcuts');
+    const showShortcutsBtn = document.getElementById('show-shortcuts');
+    const shortcutsCloseBtn = document.getElementById('shortcuts-close');
+    const fontWarningEl = document.getElementById('font-warning');
+    const fontWarningListEl = document.getElementById('font-warning-list');
+    const spanEditorEl = document.getElementById('span-editor');
+    const spanFontSelect = document.getElementById('span-font');
+    const spanWeightSelect = document.getElementById('span-weight');
+    const spanSizeInput = document.getElementById('span-size');
+    const spanColorToggle = document.getElementById('span-color-on');
+    const spanColorInput = document.getElementById('span-color');
+    const spanShiftInput = document.getElementById('span-shift');
+    const spanApplyBtn = document.getElementById('span-apply');
+    const spanClearBtn = document.getElementById('span-clear');
+    const arrangeBtns = document.querySelectorAll('[data-align], [data-distribute]');
+    const batchPanelEl = document.getElementById('batch-panel');
+    const batchImportBtn = document.getElementById('batch-import');
+    const batchFileInput = document.getElementById('batch-file');
+    const batchInfoEl = document.getElementById('batch-info');
+    const batchRowInput = document.getElementById('batch-row');
+    const batchPreviewToggle = document.getElementById('batch-preview');
+    const batchPatternInput = document.getElementById('batch-pattern');
+    const batchExportBtn = document.getElementById('batch-export');
+    const fillTypeSelect = document.getElementById('fill-type');
+    const fillStopsEl = document.getElementById('fill-stops');
+    const addFillStopBtn = document.getElementById('add-fill-stop');
+    const fillPatternBtn = document.getElementById('fill-pattern-btn');
+    const fillPatternFile = document.getElementById('fill-pattern-file');
+    const fillPatternNameEl = document.getElementById('fill-pattern-name');
+
+    // Sidebar controls for the item properties described in render.js
+    // (STYLE_FIELDS, SHAPE_FIELDS, ANIM_FIELDS), each with its element.
+    const bindControls = fields => fields.map(c => Object.assign({ el: document.getElementById(c.id) }, c));
+    const STYLE_CONTROLS = bindControls(STYLE_FIELDS);
+    const SHAPE_CONTROLS = bindControls(SHAPE_FIELDS);
+    const ANIM_CONTROLS = bindControls(ANIM_FIELDS);
+
+    // Layout, hit-testing and drawing bound to the page's canvas.
+    const renderer = IgroovieRender.createRenderer(ctx, { imageFor });
+    const { pathLayout, textLayout, contentBox, localVisualBox, itemBounds, visualBounds, unionBounds, drawItem, drawTextItem } = renderer;
+
+    // readStyleControl(c) -> value of the bound control converted for the item
+    function readStyleControl(c) {
+        const el = c.el;
+        switch (c.type) {
+            case 'bool': return el.checked;
+            case 'percent': return clamp((parseFloat(el.value) || 0) / 100, c.min === undefined ? 0 : c.min, c.max === undefined ? 1 : c.max);
+            case 'number': return clamp(parseFloat(el.value) || 0, c.min, c.max);
+            case 'select': return c.values.includes(el.value) ? el.value : STYLE_DEFAULTS[c.prop];
+            default: return el.value;
+        }
+    }
+    // styleControlValue(prop) -> current control value for a style property (or its default)
+    function styleControlValue(prop) {
+        const c = STYLE_CONTROLS.find(c => c.prop === prop);
+        return c && c.el ? readStyleControl(c) : STYLE_DEFAULTS[prop];
+    }
+    // writeStyleControl(c, value): show an item value in its bound control
+    function writeStyleControl(c, value) {
+        const el = c.el;
+        if (c.type === 'bool') el.checked = !!value;
+        else if (c.type === 'percent') el.value = Math.round(value * 100);
+        else el.value = value;
+    }
 
-    // Ensure the canvas internal pixel size is full 4K regardless of CSS scaling
+    // Ensure the canvas internal pixel size is the full resolution regardless of CSS scaling
     canvas.width = CANVAS_W;
     canvas.height = CANVAS_H;
 
     // In-memory list of placed text items. Each item is an object with:
-    // { text, x, y, size, family, color, align }
+    // { text, x, y, size, family, color, align, textAlign, lineHeight, maxWidth }
+    // `text` may contain newlines; `align` is the anchor corner of the text
+    // block, `textAlign` the paragraph alignment of lines inside it, and a
+    // positive `maxWidth` wraps lines at word boundaries. Effect, fill and
+    // transform properties (see STYLE_DEFAULTS) ride along on the same object;
+    // transforms pivot on the anchor point (`x`,`y`). Layer state is optional:
+    // `name` (shown in the layers panel), `hidden` and `locked`. Image and
+    // shape layers are marked by `type: 'image'` / `type: 'shape'` and hold
+    // only the properties listed in IMAGE_PROPS / SHAPE_PROPS.
     const items = [];
 
-    // Undo / Redo stacks. We store deep-copied snapshots of `items`.
-    // This snapshot approach is simple and robust; stacks are capped to avoid memory bloat.
-    const undoStack = [];
-    const redoStack = [];
-    const MAX_STACK = 80;
-
-    // pushState(): save a snapshot of the current `items` to the undo stack.
-    // Called before any action that should be undoable (place, drag start, clear, center, etc.).
-    function pushState() {
-        undoStack.push(JSON.parse(JSON.stringify(items)));
-        if (undoStack.length > MAX_STACK) undoStack.shift();
-        // new action invalidates redo history
-        redoStack.length = 0;
-        updateUndoRedoButtons();
-    }
+    // Undo / Redo history. Every undoable action is recorded as a labeled,
+    // plain-data command holding only what it changed, so steps are cheap,
+    // can be listed in the history panel and are saved with the project.
+    //   { type: 'props', label, changes: [{ index, before, after }] }  item properties changed
+    //   { type: 'insert', label, index, item }                         item added
+    //   { type: 'remove', label, index, item }                         item deleted
+    //   { type: 'reorder', label, from, to }                           draw order changed
+    //   { type: 'replace', label, before, after }                      whole composition swapped
+    //                                                                  ({ items, width, height })
+    //   { type: 'batch', label, steps: [{ type, index, item }] }       several items added or deleted
+    //                                                                  (insert/remove steps, in the order applied)
+    // `done` holds applied commands (oldest first); `undone` the commands
+    // Redo re-applies (most recently undone last).
+    const history = { done: [], undone: [] };
+    const MAX_HISTORY = 500;
 
     /**
-     * clamp(value, min, max) -> number
-     * Small utility to clamp numeric values (used for font-size bounds and safety checks).
+     * pushCommand(cmd)
+     * Record a command that has already been applied. A 'props' command with
+     * the same `mergeKey` as the previous one extends it instead, so e.g. all
+     * keystrokes of one text edit become a single step.
      */
-    function clamp(v, a, b) {
-        return Math.min(Math.max(v, a), b);
+    function pushCommand(cmd) {
+        const last = history.done[history.done.length - 1];
+        if (cmd.mergeKey && last && last.mergeKey === cmd.mergeKey && !history.undone.length) {
+            for (const ch of cmd.changes) {
+                const prev = last.changes.find(c => c.index === ch.index);
+                if (!prev) {
+                    last.changes.push(ch);
+                    continue;
+                }
+                for (const k of Object.keys(ch.before)) {
+                    if (!(k in prev.before) && !(k in prev.after)) prev.before[k] = ch.before[k];
+                }
+                Object.assign(prev.after, ch.after);
+            }
+        } else {
+            history.done.push(cmd);
+            if (history.done.length > MAX_HISTORY) history.done.shift();
+        }
+        // a new action invalidates redo history
+        history.undone.length = 0;
+        historyChanged();
     }
 
-    // setState(snapshot): replace the current `items` with the provided snapshot
-    // and re-render. Used when performing undo/redo restores.
-    function setState(snapshot) {
+    // snapshot() -> deep copy of the whole composition (used by 'replace' commands)
+    function snapshot() {
+        return { items: JSON.parse(JSON.stringify(items)), width: canvas.width, height: canvas.height };
+    }
+
+    // restoreSnapshot(snap): put a snapshot's items and canvas size back in place.
+    function restoreSnapshot(snap) {
         items.length = 0;
-        if (Array.isArray(snapshot)) {
-            for (const it of snapshot) items.push(JSON.parse(JSON.stringify(it)));
+        for (const it of snap.items) items.push(JSON.parse(JSON.stringify(it)));
+        if (snap.width !== canvas.width || snap.height !== canvas.height) setCanvasSize(snap.width, snap.height);
+    }
+
+    // captureItems(indices) -> [{ index, item }] copies taken before a change
+    function captureItems(indices) {
+        return indices.filter(i => items[i]).map(i => ({ index: i, item: JSON.parse(JSON.stringify(items[i])) }));
+    }
+
+    /**
+     * commitItemChanges(label, captured, { mergeKey }) -> command or null
+     * Compare the items with copies from captureItems() and record every
+     * changed property as one 'props' command. Nothing is recorded when
+     * nothing changed, so a click that does not move an item leaves no step.
+     */
+    function commitItemChanges(label, captured, { mergeKey } = {}) {
+        const changes = [];
+        for (const { index, item } of captured) {
+            const now = items[index];
+            if (!now) continue;
+            // a property missing on one side is left out there; applying it deletes the property
+            const before = {};
+            const after = {};
+            for (const k of new Set(Object.keys(item).concat(Object.keys(now)))) {
+                if (JSON.stringify(item[k]) === JSON.stringify(now[k])) continue;
+                if (item[k] !== undefined) before[k] = item[k];
+                if (now[k] !== undefined) after[k] = JSON.parse(JSON.stringify(now[k]));
+            }
+            if (Object.keys(before).length || Object.keys(after).length) changes.push({ index, before, after });
+        }
+        if (!changes.length) return null;
+        const cmd = { type: 'props', label, changes };
+        if (mergeKey) cmd.mergeKey = mergeKey;
+        pushCommand(cmd);
+        return cmd;
+    }
+
+    // changeItems(label, indices, mutate, opts): run `mutate()` as one recorded step
+    function changeItems(label, indices, mutate, opts) {
+        const captured = captureItems(indices);
+        mutate();
+        return commitItemChanges(label, captured, opts);
+    }
+
+    // insertItem(label, index, item, { select }): add an item as one recorded step
+    function insertItem(label, index, item, { select = false } = {}) {
+        items.splice(index, 0, item);
+        pushCommand({ type: 'insert', label, index, item: JSON.parse(JSON.stringify(item)) });
+        if (select) setSelection(index);
+        scheduleDraw();
+    }
+
+    // insertItems(label, index, list): add several items after each other as one recorded step
+    function insertItems(label, index, list) {
+        items.splice(index, 0, ...list);
+        pushCommand({ type: 'batch', label, steps: list.map((item, k) => ({ type: 'insert', index: index + k, item: JSON.parse(JSON.stringify(item)) })) });
+        scheduleDraw();
+    }
+
+    // removeItems(label, indices): delete several items as one recorded step
+    function removeItems(label, indices) {
+        const steps = indices.slice().sort((a, b) => b - a).map(index => ({ type: 'remove', index, item: items.splice(index, 1)[0] }));
+        pushCommand({ type: 'batch', label, steps });
+        scheduleDraw();
+    }
+
+    // replaceAll(label, mutate): record a change to the whole composition
+    // (clear, canvas resize, open) with before/after snapshots.
+    function replaceAll(label, mutate) {
+        const before = snapshot();
+        mutate();
+        pushCommand({ type: 'replace', label, before, after: snapshot() });
+    }
+
+    // itemRef(it) -> short quoted name of an item for history labels
+    function itemRef(it) {
+        const name = layerLabel(it);
+        return `“${name.length > 24 ? `${name.slice(0, 23)}…` : name}”`;
+    }
+
+    /**
+     * applyCommand(cmd, undo) -> indices of the items to select (may be empty)
+     * Re-apply (`undo` false) or revert (`undo` true) one command.
+     */
+    function applyCommand(cmd, undo) {
+        switch (cmd.type) {
+            case 'props':
+                for (const ch of cmd.changes) {
+                    const it = items[ch.index];
+                    if (!it) continue;
+                    const values = undo ? ch.before : ch.after;
+                    for (const k of new Set(Object.keys(ch.before).concat(Object.keys(ch.after)))) {
+                        if (values[k] === undefined) delete it[k];
+                        else it[k] = JSON.parse(JSON.stringify(values[k]));
+                    }
+                }
+                return cmd.changes.map(ch => ch.index).filter(i => items[i]);
+            case 'insert':
+            case 'remove':
+                if ((cmd.type === 'insert') !== undo) {
+                    items.splice(cmd.index, 0, JSON.parse(JSON.stringify(cmd.item)));
+                    return [cmd.index];
+                }
+                items.splice(cmd.index, 1);
+                return [];
+            case 'reorder': {
+                const from = undo ? cmd.to : cmd.from;
+                const to = undo ? cmd.from : cmd.to;
+                const [it] = items.splice(from, 1);
+                if (it) items.splice(to, 0, it);
+                return [to];
+            }
+            case 'replace':
+                restoreSnapshot(undo ? cmd.before : cmd.after);
+                return [];
+            case 'batch': {
+                // undo walks the steps back from the last one
+                const steps = undo ? cmd.steps.slice().reverse() : cmd.steps;
+                return steps.flatMap(st => applyCommand(st, undo)).sort((a, b) => a - b);
+            }
+            default:
+                return [];
         }
+    }
+
+    // stepHistory(undo) -> indices to select; moves one command between the stacks
+    function stepHistory(undo) {
+        const from = undo ? history.done : history.undone;
+        const to = undo ? history.undone : history.done;
+        const cmd = from.pop();
+        to.push(cmd);
+        return applyCommand(cmd, undo);
+    }
+
+    /**
+     * jumpToHistory(step)
+     * Undo or redo until `step` commands are applied (0 is the oldest kept
+     * state). Used by Undo/Redo (one step) and the history panel.
+     */
+    function jumpToHistory(step) {
+        step = clamp(step, 0, history.done.length + history.undone.length);
+        if (step === history.done.length) return;
+        endEditSession();
+        let select = [];
+        while (history.done.length > step) select = stepHistory(true);
+        while (history.done.length < step) select = stepHistory(false);
+        // select what the last step touched, or keep the selection if it still exists
+        if (select.length) setSelection(select[0], select);
+        else setSelection(selectedIndex < items.length ? selectedIndex : -1, selection.filter(i => i < items.length));
+        if (selectedIndex >= 0) syncControlsFromItem(items[selectedIndex]);
         scheduleDraw();
+        historyChanged();
+    }
+    function undo() {
+        if (history.done.length) jumpToHistory(history.done.length - 1);
+    }
+    function redo() {
+        if (history.undone.length) jumpToHistory(history.done.length + 1);
+    }
+
+    // Refresh everything that mirrors the history after it changed.
+    function historyChanged() {
         updateUndoRedoButtons();
+        renderHistory();
+        scheduleAutosave();
     }
 
-    // Enable/disable Undo/Redo buttons based on stack state
+    // Enable/disable Undo/Redo buttons and name the step each would take
     function updateUndoRedoButtons() {
-        if (undoBtn) undoBtn.disabled = undoStack.length === 0;
-        if (redoBtn) redoBtn.disabled = redoStack.length === 0;
-    }
-
-    // Helper: map a friendly family name to a CSS font-family string with fallbacks.
-    // This gives the canvas and preview a reasonable fallback if a font is missing.
-    function fontFamilyToCSS(name) {
-        const map = {
-            'Roboto': "'Roboto', Arial, sans-serif",
-            'Montserrat': "'Montserrat', 'Helvetica Neue', Arial, sans-serif",
-            'Lora': "'Lora', serif",
-            'Oswald': "'Oswald', Arial, sans-serif",
-            'Poppins': "'Poppins', Arial, sans-serif",
-            'Playfair Display': "'Playfair Display', serif",
-            'Merriweather': "'Merriweather', serif",
-            'Open Sans': "'Open Sans', Arial, sans-serif",
-            'Bebas Neue': "'Bebas Neue', Arial, sans-serif",
-            'Pacifico': "'Pacifico', cursive",
-            'Lobster': "'Lobster', cursive",
-            'Permanent Marker': "'Permanent Marker', cursive",
-            'Indie Flower': "'Indie Flower', cursive",
-            'Fredoka One': "'Fredoka One', 'Arial', sans-serif",
-            'Gloria Hallelujah': "'Gloria Hallelujah', cursive",
-            'Amatic SC': "'Amatic SC', cursive",
-            'Shadows Into Light': "'Shadows Into Light', cursive",
-            'Bangers': "'Bangers', 'Arial', sans-serif",
-            'Chewy': "'Chewy', cursive",
-            'Playball': "'Playball', cursive",
-            'Caveat': "'Caveat', cursive",
-            'Raleway': "'Raleway', Arial, sans-serif",
-            'Nunito': "'Nunito', Arial, sans-serif",
-            'Quicksand': "'Quicksand', Arial, sans-serif",
-            'Fira Sans': "'Fira Sans', Arial, sans-serif",
-            'Anton': "'Anton', Arial, sans-serif",
-            'Comfortaa': "'Comfortaa', Arial, sans-serif",
-            'Inter': "'Inter', Arial, sans-serif",
-            'Noto Sans': "'Noto Sans', Arial, sans-serif",
-            'Ubuntu': "'Ubuntu', Arial, sans-serif",
-            'Cabin': "'Cabin', Arial, sans-serif",
-            'Kanit': "'Kanit', Arial, sans-serif",
-            'Work Sans': "'Work Sans', Arial, sans-serif",
-            'Rubik': "'Rubik', Arial, sans-serif",
-            'DM Sans': "'DM Sans', Arial, sans-serif",
-            'Space Grotesk': "'Space Grotesk', Arial, sans-serif",
-            'Karla': "'Karla', Arial, sans-serif",
-            'Overpass': "'Overpass', Arial, sans-serif",
-            'Arial': "Arial, Helvetica, sans-serif",
-            'Helvetica': "'Helvetica Neue', Helvetica, Arial, sans-serif",
-            'Times New Roman': "'Times New Roman', Times, serif",
-            'Georgia': "Georgia, 'Times New Roman', Times, serif",
-            'Courier New': "'Courier New', Courier, monospace",
-            'Verdana': "Verdana, Geneva, sans-serif",
-            'Trebuchet MS': "'Trebuchet MS', Helvetica, sans-serif",
-            'Impact': "Impact, Charcoal, sans-serif",
-            'Comic Sans MS': "'Comic Sans MS', 'Comic Sans', cursive",
-            'Papyrus': "Papyrus, 'Times New Roman', serif",
-            'Serif': 'serif',
-            'Sans-serif': 'sans-serif'
-        };
-        return map[name] || `'${name}', sans-serif`;
+        const next = history.undone[history.undone.length - 1];
+        const prev = history.done[history.done.length - 1];
+        if (undoBtn) {
+            undoBtn.disabled = !prev;
+            undoBtn.title = prev ? `Undo: ${prev.label}` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !next;
+            redoBtn.title = next ? `Redo: ${next.label}` : 'Nothing to redo';
+        }
     }
 
+    /**
+     * renderHistory()
+     * List the history in the history panel: the oldest kept state, applied
+     * steps, then undone steps (dimmed). Clicking an entry jumps there. The
+     * list is only built while the panel is open.
+     */
+    function renderHistory() {
+        if (!historyListEl || (historyPanelEl && !historyPanelEl.open)) return;
+        historyListEl.innerHTML = '';
+        const entries = ['Start'].concat(history.done.map(c => c.label), history.undone.slice().reverse().map(c => c.label));
+        entries.forEach((label, step) => {
+            const li = document.createElement('li');
+            if (step > history.done.length) li.className = 'is-undone';
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = label;
+            if (step === history.done.length) btn.setAttribute('aria-current', 'step');
+            btn.addEventListener('click', () => jumpToHistory(step));
+            li.appendChild(btn);
+            historyListEl.appendChild(li);
+        });
+        const current = historyListEl.querySelector('[aria-current]');
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
 
     // drawAll(): render the canvas. Clears first, then draws each placed text item.
     // If a hover preview exists it is drawn last with reduced opacity.
@@ -175,78 +510,157 @@
         requestAnimationFrame(() => {
             needsRedraw = false;
             drawAll();
+            // the layers list, span editor and timeline mirror items and selection; they only rebuild on change
+            renderLayers();
+            renderSpanEditor();
+            renderTimeline();
         });
     }
 
-    // drawAll(): render the canvas. Clears first, then draws each placed text item.
-    // If a hover preview exists it is drawn last with reduced opacity.
-    function drawAll() {
-        // Clear the full 4K canvas
+    // drawAll(): render the canvas. Clears first, then draws each placed item.
+    // If a hover preview exists it is drawn last with reduced opacity, followed
+    // by the selection outline. Pass `{ overlays: false }` when rendering for
+    // export so neither the preview nor the selection ends up in the file,
+    // and `list` to render only some items (per-item exports).
+    function drawAll({ overlays = true, list = items } = {}) {
+        // Clear the full-resolution canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-        // Render each placed item
-        for (const it of items) {
-            ctx.save();
-            ctx.fillStyle = it.color || '#fff';
-            // Compose the font string used by canvas (`size` and `family`).
-            // Use CSS font-family with fallbacks to improve rendering when a font isn't available
-            ctx.font = `${it.size}px ${fontFamilyToCSS(it.family)}`;
-            // Map the alignment option to canvas textAlign/textBaseline
-            switch (it.align) {
-                case 'center':
-                    ctx.textAlign = 'center';
-                    ctx.textBaseline = 'middle';
-                    break;
-                case 'top-left':
-                    ctx.textAlign = 'left';
-                    ctx.textBaseline = 'top';
-                    break;
-                case 'top-right':
-                    ctx.textAlign = 'right';
-                    ctx.textBaseline = 'top';
-                    break;
-                case 'bottom-left':
-                    ctx.textAlign = 'left';
-                    ctx.textBaseline = 'bottom';
-                    break;
-                case 'bottom-right':
-                    ctx.textAlign = 'right';
-                    ctx.textBaseline = 'bottom';
-                    break;
-                default:
-                    ctx.textAlign = 'center';
-                    ctx.textBaseline = 'middle';
-            }
-            // Draw the text at the stored coordinates
-            ctx.fillText(it.text, it.x, it.y);
-            ctx.restore();
+        // Reference image/video and checkerboard sit under everything on screen
+        if (overlays) drawBackdrop();
+
+        // Render each placed item (with a batch row filled in while previewing one)
+        let rendered = overlays && batchPreviewRow >= 0 && batchRecords[batchPreviewRow] ? itemsForRecord(batchRecords[batchPreviewRow]) : list;
+        // ...and as they appear at the animation preview's time
+        if (overlays && animPreviewTime !== null) rendered = frameItems(animPreviewTime, rendered);
+        for (const it of rendered) {
+            if (!it.hidden) drawItem(it);
         }
 
+        if (!overlays) return;
+
+        // Grid, safe areas and snap guides are on-screen aids only
+        drawGuideOverlays();
+
         // If there's a hover preview, draw it semi-transparently on top
         if (preview) {
             ctx.save();
             ctx.globalAlpha = 0.65; // make preview visually distinct
-            ctx.fillStyle = preview.color || '#fff';
-            ctx.font = `${preview.size}px ${fontFamilyToCSS(preview.family)}`;
-            switch (preview.align) {
-                case 'center': ctx.textAlign = 'center'; ctx.textBaseline = 'middle'; break;
-                case 'top-left': ctx.textAlign = 'left'; ctx.textBaseline = 'top'; break;
-                case 'top-right': ctx.textAlign = 'right'; ctx.textBaseline = 'top'; break;
-                case 'bottom-left': ctx.textAlign = 'left'; ctx.textBaseline = 'bottom'; break;
-                case 'bottom-right': ctx.textAlign = 'right'; ctx.textBaseline = 'bottom'; break;
-                default: ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-            }
-            ctx.fillText(preview.text, preview.x, preview.y);
+            drawTextItem(preview);
+            ctx.restore();
+        }
+
+        // Highlight each selected item with a dashed accent box that follows
+        // its rotation/skew; a single selected item also gets resize and
+        // rotate handles.
+        const ss = screenScale();
+        if (marquee && marquee.active) {
+            ctx.save();
+            ctx.fillStyle = 'rgba(68, 88, 190, 0.12)';
+            ctx.strokeStyle = '#4458be';
+            ctx.lineWidth = ss;
+            const x = Math.min(marquee.x0, marquee.x1);
+            const y = Math.min(marquee.y0, marquee.y1);
+            ctx.fillRect(x, y, Math.abs(marquee.x1 - marquee.x0), Math.abs(marquee.y1 - marquee.y0));
+            ctx.strokeRect(x, y, Math.abs(marquee.x1 - marquee.x0), Math.abs(marquee.y1 - marquee.y0));
+            ctx.restore();
+        }
+        const selected = selection.filter(i => items[i]);
+        for (const index of selected) {
+            const it = items[index];
+            const outline = corners(itemMatrix(it), selectionBox(it));
+            ctx.save();
+            ctx.strokeStyle = '#4458be';
+            ctx.lineWidth = 2 * ss;
+            ctx.setLineDash([8 * ss, 5 * ss]);
+            ctx.beginPath();
+            outline.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.stroke();
+            ctx.setLineDash([]);
+            // locked and hidden items keep the outline but offer no handles
+            const handles = it.locked || it.hidden || selected.length > 1 ? [] : selectionHandles(it);
+            const rot = handles.find(h => h.id === 'rotate');
+            const top = handles.find(h => h.id === 'n');
+            if (rot && top) {
+                ctx.beginPath();
+                ctx.moveTo(top.x, top.y);
+                ctx.lineTo(rot.x, rot.y);
+                ctx.stroke();
+            }
+            // bezier control points are joined by a thin dashed polygon
+            const bend = handles.filter(h => h.id.startsWith('path'));
+            if (bend.length) {
+                ctx.save();
+                ctx.lineWidth = ss;
+                ctx.setLineDash([4 * ss, 4 * ss]);
+                ctx.beginPath();
+                bend.forEach((h, i) => (i ? ctx.lineTo(h.x, h.y) : ctx.moveTo(h.x, h.y)));
+                ctx.stroke();
+                ctx.restore();
+            }
+            for (const h of handles) {
+                ctx.beginPath();
+                ctx.fillStyle = h.id.startsWith('path') ? '#ffd60a' : '#fff';
+                if (h.id === 'rotate' || h.id.startsWith('path')) ctx.arc(h.x, h.y, HANDLE_SIZE * ss, 0, Math.PI * 2);
+                else ctx.rect(h.x - HANDLE_SIZE * ss, h.y - HANDLE_SIZE * ss, HANDLE_SIZE * 2 * ss, HANDLE_SIZE * 2 * ss);
+                ctx.fill();
+                ctx.stroke();
+            }
             ctx.restore();
         }
     }
 
+    // Canvas pixels per CSS pixel, so on-screen chrome (selection, handles)
+    // keeps a constant visible size however the full-size canvas is scaled down.
+    function screenScale() {
+        const rect = canvas.getBoundingClientRect();
+        return rect.width ? canvas.width / rect.width : 1;
+    }
+
+    // Decoded images (image layers and pattern fills) keyed by data URL:
+    // { img, ready } where `ready` settles once the image loaded or failed.
+    // imageFor() returns null while an image is still loading and triggers
+    // a redraw once it's ready.
+    const loadedImages = new Map();
+    function imageEntry(src) {
+        let entry = loadedImages.get(src);
+        if (!entry) {
+            const img = new Image();
+            const ready = new Promise((resolve) => {
+                img.onload = () => {
+                    scheduleDraw();
+                    resolve();
+                };
+                img.onerror = () => resolve();
+            });
+            img.src = src;
+            entry = { img, ready };
+            loadedImages.set(src, entry);
+        }
+        return entry;
+    }
+    function imageFor(src) {
+        if (!src) return null;
+        const { img } = imageEntry(src);
+        return img.complete && img.naturalWidth ? img : null;
+    }
+
+    // imagesReady(list) -> Promise that settles once every image the visible
+    // items draw (image layers and pattern fills) has been decoded.
+    function imagesReady(list = items) {
+        const sources = list.filter(it => !it.hidden)
+            .map(it => (it.type === 'image' ? it.src : it.fillType === 'pattern' ? it.fillPattern : ''))
+            .filter(Boolean);
+        return Promise.all(sources.map(src => imageEntry(src).ready));
+    }
+
     // Utility: convert a pointer event's client coordinates to canvas pixel coordinates.
-    // This accommodates CSS scaling so placements map to the full 4K canvas.
+    // This accommodates CSS scaling so placements map to the full-resolution canvas.
     /**
      * getMousePos(evt) -> {x,y}
      * Convert client (DOM) coordinates from a pointer event into canvas
-     * pixel coordinates that correspond to the internal 4K resolution. This
+     * pixel coordinates that correspond to the internal resolution. This
      * keeps pointer interaction accurate regardless of CSS scaling.
      */
     function getMousePos(evt) {
@@ -268,137 +682,500 @@
         return opt ? opt.text : 'Arial';
     }
 
+    /**
+     * itemFromControls(x, y, overrides) -> item
+     * Build a new text item at (x,y) from the current sidebar settings.
+     * Used for click placement, the hover preview and "Insert Center Text".
+     */
+    function itemFromControls(x, y, overrides = {}) {
+        const align = (alignSelect && alignSelect.value) || 'center';
+        return Object.assign({
+            text: textInput ? textInput.value : '',
+            x,
+            y,
+            size: fontSizeInput ? clamp(parseInt(fontSizeInput.value, 10) || 48, 8, 800) : 48,
+            family: currentFontFamily(),
+            color: (colorInput && colorInput.value) || '#ffffff',
+            align,
+            textAlign: (textAlignSelect && textAlignSelect.value) || defaultTextAlign(align),
+            lineHeight: lineHeightInput ? clamp(parseFloat(lineHeightInput.value) || 1.2, 0.5, 4) : 1.2,
+            maxWidth: maxWidthInput ? Math.max(0, parseInt(maxWidthInput.value, 10) || 0) : 0
+        }, currentStyle(), overrides);
+    }
+
+    // currentStyle() -> effect properties read from the sidebar controls
+    function currentStyle() {
+        const style = styleDefaults();
+        for (const c of STYLE_CONTROLS) {
+            if (c.el) style[c.prop] = readStyleControl(c);
+        }
+        style.fillStops = JSON.parse(JSON.stringify(fillStopsState));
+        style.fillPattern = fillPatternState;
+        return style;
+    }
+
     // Pointer/interaction state and preview data
     let draggingIndex = -1;                  // index of item currently being dragged (or -1)
-    let dragOffset = { x: 0, y: 0 };         // pointer-to-item offset during drag
+    let dragOrigin = { x: 0, y: 0 };         // pointer position where the drag started
+    let dragStarts = [];                     // [{ index, x, y }] of every item moving with the drag
     let isPointerDown = false;               // whether pointer is pressed
     let preview = null;                      // hover preview object (or null)
+    let selectedIndex = -1;                  // primary selected item, shown in the inspector (or -1)
+    let selection = [];                      // every selected index, ascending (includes selectedIndex)
+    let marquee = null;                      // rubber-band selection { x0, y0, x1, y1, base, active } (or null)
+    let deselectedOnDown = false;            // pointerdown only changed the selection (no placement on release)
+    let transformDrag = null;                // active resize/rotate drag (or null)
+    let dragCapture = null;                  // { label, captured } recorded when a drag ends
+
+    // ---------------------------------------------------------------------
+    // Selection handles (resize + rotate)
+    // ---------------------------------------------------------------------
+
+    const HANDLE_SIZE = 6;        // handle half-size in CSS pixels
+    const MARQUEE_THRESHOLD = 3;  // CSS pixels the pointer travels before a rubber band starts
+    const ROTATE_OFFSET = 28;     // distance of the rotate handle above the box, CSS pixels
+    const ROTATE_SNAP = 15;       // degrees per step while Shift is held
+
+    // Local box drawn as the selection outline: the visual box plus a few
+    // screen pixels of breathing room.
+    function selectionBox(it) {
+        const b = localVisualBox(it);
+        const pad = 6 * screenScale() / itemScale(it);
+        return { left: b.left - pad, top: b.top - pad, right: b.right + pad, bottom: b.bottom + pad };
+    }
 
-    // measureTextBounds(it): return an estimated bounding box for a text item.
-    // Uses `measureText()` plus `actualBoundingBox*` metrics when available.
     /**
-     * measureTextBounds(it) -> {width,height,ascent,descent}
-     * Use the canvas `measureText()` API to estimate the rendered text bounds.
-     * When `actualBoundingBox*` metrics exist they are used; otherwise we
-     * fall back to conservative estimates derived from font size.
+     * selectionHandles(it) -> [{id, x, y, local}]
+     * Canvas positions of the eight resize handles (corners scale uniformly,
+     * edges scale one axis) and the rotate handle above the top edge.
+     * `local` is the handle's point in the item's local space. Text on a
+     * bezier adds its control points ('path0'...), listed first so they win
+     * where they overlap a box handle.
      */
-    function measureTextBounds(it) {
-        ctx.save();
-        ctx.font = `${it.size}px ${fontFamilyToCSS(it.family)}`;
-        const m = ctx.measureText(it.text);
-        const width = m.width;
-        // actualBoundingBoxAscent / Descent are not available in all browsers; fall back to estimates
-        const ascent = m.actualBoundingBoxAscent || it.size * 0.75;
-        const descent = m.actualBoundingBoxDescent || it.size * 0.25;
-        const height = ascent + descent;
-        ctx.restore();
-        return { width, height, ascent, descent };
+    function selectionHandles(it) {
+        const b = selectionBox(it);
+        const m = itemMatrix(it);
+        const cx = (b.left + b.right) / 2;
+        const cy = (b.top + b.bottom) / 2;
+        const spots = {
+            nw: [b.left, b.top], n: [cx, b.top], ne: [b.right, b.top], e: [b.right, cy],
+            se: [b.right, b.bottom], s: [cx, b.bottom], sw: [b.left, b.bottom], w: [b.left, cy]
+        };
+        const handles = Object.keys(spots).map((id) => {
+            const [lx, ly] = spots[id];
+            const p = applyMatrix(m, lx, ly);
+            return { id, x: p.x, y: p.y, local: { x: lx, y: ly } };
+        });
+        // rotate handle: continue outward from the box center through the top edge
+        const top = handles[1];
+        const c = applyMatrix(m, cx, cy);
+        const len = Math.hypot(top.x - c.x, top.y - c.y) || 1;
+        const off = ROTATE_OFFSET * screenScale();
+        handles.push({ id: 'rotate', x: top.x + (top.x - c.x) / len * off, y: top.y + (top.y - c.y) / len * off, local: null });
+        if (!isPathText(it) || it.textPath === 'arc') return handles;
+        const bend = pathLayout(it).points.map((pt, i) => {
+            const p = applyMatrix(m, pt.x, pt.y);
+            return { id: `path${i}`, x: p.x, y: p.y, local: { x: pt.x, y: pt.y } };
+        });
+        return bend.concat(handles);
+    }
+
+    // Return the handle of the selected item under (x,y), or null.
+    function findHandleAt(x, y) {
+        const it = items[selectedIndex];
+        // handles are offered for a single selected item only
+        if (!it || it.locked || it.hidden || selection.length !== 1) return null;
+        const r = (HANDLE_SIZE + 4) * screenScale();
+        return selectionHandles(it).find(h => Math.hypot(h.x - x, h.y - y) <= r) || null;
     }
 
-    // findItemAt(x,y): hit-test items from topmost to bottommost. Returns item index or -1.
+    // Opposite handle, used as the fixed pivot while resizing.
+    const OPPOSITE_HANDLE = { nw: 'se', n: 's', ne: 'sw', e: 'w', se: 'nw', s: 'n', sw: 'ne', w: 'e' };
+    const HANDLE_CURSORS = { nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize', n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize', rotate: 'grab',
+        path0: 'crosshair', path1: 'crosshair', path2: 'crosshair', path3: 'crosshair' };
+
     /**
-     * findItemAt(x,y) -> index
-     * Hit-test items from topmost to bottommost. Returns the index of the
-     * top-most item under the provided canvas pixel coordinates, or -1.
+     * beginTransformDrag(handle, pos) -> drag state
+     * Capture what a resize/rotate drag needs: the item at drag start, the
+     * local point that must stay put (opposite handle, or the box center for
+     * rotation) and its canvas position. A bezier control point only needs
+     * the curve's points at drag start.
      */
+    function beginTransformDrag(handle, pos) {
+        const it = items[selectedIndex];
+        const start = JSON.parse(JSON.stringify(it));
+        const m = itemMatrix(start);
+        if (handle.id.startsWith('path')) {
+            const points = JSON.parse(JSON.stringify(pathLayout(start).points));
+            return { mode: 'path', start, points, index: Number(handle.id.slice(4)), inverse: invertMatrix(m) };
+        }
+        const b = selectionBox(start);
+        if (handle.id === 'rotate') {
+            const local = { x: (b.left + b.right) / 2, y: (b.top + b.bottom) / 2 };
+            const pivot = applyMatrix(m, local.x, local.y);
+            return { mode: 'rotate', start, local, pivot, startAngle: Math.atan2(pos.y - pivot.y, pos.x - pivot.x) };
+        }
+        const opposite = selectionHandles(start).find(h => h.id === OPPOSITE_HANDLE[handle.id]);
+        return {
+            mode: 'scale',
+            handle: handle.id,
+            start,
+            inverse: invertMatrix(m),
+            grab: handle.local,
+            local: opposite.local,
+            pivot: applyMatrix(m, opposite.local.x, opposite.local.y)
+        };
+    }
+
+    // Apply a resize/rotate drag to the selected item for pointer position `pos`.
+    function updateTransformDrag(drag, pos, evt) {
+        const it = items[selectedIndex];
+        if (!it) return;
+        const start = drag.start;
+        if (drag.mode === 'path') {
+            // the control point follows the pointer; the anchor stays put
+            const u = applyMatrix(drag.inverse, pos.x, pos.y);
+            const points = drag.points.map(p => ({ x: p.x, y: p.y }));
+            points[drag.index] = { x: Math.round(u.x * 100) / 100, y: Math.round(u.y * 100) / 100 };
+            it.pathPoints = points;
+            scheduleDraw();
+            return;
+        }
+        if (drag.mode === 'rotate') {
+            const angle = Math.atan2(pos.y - drag.pivot.y, pos.x - drag.pivot.x);
+            let deg = (start.rotation || 0) + (angle - drag.startAngle) * 180 / Math.PI;
+            if (evt.shiftKey) deg = Math.round(deg / ROTATE_SNAP) * ROTATE_SNAP;
+            // normalize to (-180, 180]
+            deg = ((deg % 360) + 540) % 360 - 180;
+            it.rotation = Math.round(deg * 100) / 100;
+        } else {
+            // work in the item's local space at drag start
+            const u = applyMatrix(drag.inverse, pos.x, pos.y);
+            const p = drag.local;
+            const h = drag.grab;
+            const minScale = 0.05;
+            const sx = start.scaleX === undefined ? 1 : start.scaleX;
+            const sy = start.scaleY === undefined ? 1 : start.scaleY;
+            if (drag.handle.length === 2) {
+                // corner: uniform, project the pointer onto the pivot→handle diagonal
+                const vx = h.x - p.x;
+                const vy = h.y - p.y;
+                const f = Math.max(minScale / Math.min(sx, sy), ((u.x - p.x) * vx + (u.y - p.y) * vy) / (vx * vx + vy * vy || 1));
+                it.scaleX = sx * f;
+                it.scaleY = sy * f;
+            } else if (drag.handle === 'e' || drag.handle === 'w') {
+                it.scaleX = Math.max(minScale, sx * (u.x - p.x) / ((h.x - p.x) || 1));
+            } else {
+                it.scaleY = Math.max(minScale, sy * (u.y - p.y) / ((h.y - p.y) || 1));
+            }
+        }
+        // shapes are resized rather than scaled, so outlines and corner
+        // radii keep their size
+        let pivotLocal = drag.local;
+        if (it.type === 'shape' && drag.mode === 'scale') {
+            it.width = Math.max(1, Math.round(start.width * it.scaleX / start.scaleX * 100) / 100);
+            it.height = Math.max(1, Math.round(start.height * it.scaleY / start.scaleY * 100) / 100);
+            it.scaleX = start.scaleX;
+            it.scaleY = start.scaleY;
+            pivotLocal = selectionHandles(it).find(h => h.id === OPPOSITE_HANDLE[drag.handle]).local;
+        }
+        // shift the anchor so the pivot point stays where it was on screen
+        it.x = start.x;
+        it.y = start.y;
+        const moved = applyMatrix(itemMatrix(it), pivotLocal.x, pivotLocal.y);
+        it.x += drag.pivot.x - moved.x;
+        it.y += drag.pivot.y - moved.y;
+        scheduleDraw();
+    }
+
+    // findItemAt(x,y) -> index of the top-most visible, unlocked item under a canvas point, or -1
     function findItemAt(x, y) {
-        for (let i = items.length - 1; i >= 0; i--) {
-            const it = items[i];
-            const metrics = measureTextBounds(it);
-            let left, right, top, bottom;
-            // Compute bounding box according to the saved alignment
-            switch (it.align) {
-                case 'center':
-                    left = it.x - metrics.width / 2;
-                    right = it.x + metrics.width / 2;
-                    top = it.y - metrics.height / 2;
-                    bottom = it.y + metrics.height / 2;
-                    break;
-                case 'top-left':
-                    left = it.x;
-                    top = it.y;
-                    right = left + metrics.width;
-                    bottom = top + metrics.height;
-                    break;
-                case 'top-right':
-                    right = it.x;
-                    left = right - metrics.width;
-                    top = it.y;
-                    bottom = top + metrics.height;
-                    break;
-                case 'bottom-left':
-                    left = it.x;
-                    bottom = it.y;
-                    top = bottom - metrics.height;
-                    right = left + metrics.width;
-                    break;
-                case 'bottom-right':
-                    right = it.x;
-                    bottom = it.y;
-                    left = right - metrics.width;
-                    top = bottom - metrics.height;
-                    break;
-                default:
-                    // default == center-like box
-                    left = it.x - metrics.width / 2;
-                    right = it.x + metrics.width / 2;
-                    top = it.y - metrics.height / 2;
-                    bottom = it.y + metrics.height / 2;
-            }
-            if (x >= left && x <= right && y >= top && y <= bottom) return i;
-        }
-        return -1;
-    }
-
-    // Pointer down: set capture and prepare to drag if hitting an item.
-    // We also push a state snapshot so the subsequent drag can be undone.
-    // Pointer down: start drag when clicking an existing text item. We push
-    // a snapshot before starting the drag so the whole drag can be undone.
+        return renderer.findItemAt(items, x, y);
+    }
+
+    // ---------------------------------------------------------------------
+    // Smart guides, snapping and safe areas
+    // ---------------------------------------------------------------------
+
+    // Snapping pulls the dragged or placed item's box (edges and center) onto
+    // nearby targets: canvas center lines and thirds, other items' edges and
+    // centers, safe-area edges while they are shown, and the optional grid.
+    // Holding Alt turns it off for that pointer move.
+    const SNAP_DISTANCE = 8;        // CSS pixels; scaled to canvas pixels via screenScale()
+    const GUIDE_COLOR = '#ff00ff';
+    let activeGuides = [];          // [{ axis: 'x' | 'y', pos }] drawn while snapped
+
+    // safeAreaRect(percent) -> centered canvas rectangle covering `percent` of each side
+    function safeAreaRect(percent) {
+        const f = clamp(percent, 1, 100) / 100;
+        const w = canvas.width * f;
+        const h = canvas.height * f;
+        return { left: (canvas.width - w) / 2, top: (canvas.height - h) / 2, right: (canvas.width + w) / 2, bottom: (canvas.height + h) / 2 };
+    }
+
+    // Safe areas currently switched on, as [{ label, rect }].
+    function visibleSafeAreas() {
+        const areas = [];
+        if (actionSafeToggle && actionSafeToggle.checked) {
+            const p = parseFloat(actionSafeInput && actionSafeInput.value) || 90;
+            areas.push({ label: `Action safe ${p}%`, rect: safeAreaRect(p) });
+        }
+        if (titleSafeToggle && titleSafeToggle.checked) {
+            const p = parseFloat(titleSafeInput && titleSafeInput.value) || 80;
+            areas.push({ label: `Title safe ${p}%`, rect: safeAreaRect(p) });
+        }
+        return areas;
+    }
+
+    // gridSize() -> grid spacing in canvas pixels, or 0 when grid snapping is off
+    function gridSize() {
+        if (!snapGridToggle || !snapGridToggle.checked) return 0;
+        return clamp(parseInt(snapGridInput && snapGridInput.value, 10) || 0, 0, MAX_CANVAS_SIDE);
+    }
+
+    // snapTargets(skip) -> { x: [...], y: [...] } candidate guide positions
+    // from the canvas, safe areas and every item not listed in `skip`
+    function snapTargets(skip) {
+        const xs = [0, canvas.width / 3, canvas.width / 2, canvas.width * 2 / 3, canvas.width];
+        const ys = [0, canvas.height / 3, canvas.height / 2, canvas.height * 2 / 3, canvas.height];
+        for (const { rect } of visibleSafeAreas()) {
+            xs.push(rect.left, rect.right);
+            ys.push(rect.top, rect.bottom);
+        }
+        items.forEach((other, i) => {
+            if (skip.includes(i) || other.hidden) return;
+            const b = itemBounds(other);
+            xs.push(b.left, (b.left + b.right) / 2, b.right);
+            ys.push(b.top, (b.top + b.bottom) / 2, b.bottom);
+        });
+        return { x: xs, y: ys };
+    }
+
+    // Closest target to any of `points` within `limit`: { delta, pos } or null.
+    function nearestSnap(points, targets, limit) {
+        let best = null;
+        for (const p of points) {
+            for (const t of targets) {
+                const d = t - p;
+                if (Math.abs(d) <= limit && (!best || Math.abs(d) < Math.abs(best.delta))) best = { delta: d, pos: t };
+            }
+        }
+        return best;
+    }
+
+    // Closest grid line to any of `points` within `limit`.
+    function nearestGridSnap(points, step, limit) {
+        if (!step) return null;
+        return nearestSnap(points, points.map(p => Math.round(p / step) * step), limit);
+    }
+
+    /**
+     * snapBox(b, skip) -> { dx, dy, guides }
+     * Offset that moves the bounds `b` onto the nearest target on each axis
+     * (item and guide targets win over the grid), plus the guide lines to
+     * show. `skip` lists the indices being moved so they do not snap to
+     * themselves.
+     */
+    function snapBox(b, skip = []) {
+        const limit = SNAP_DISTANCE * screenScale();
+        const px = [b.left, (b.left + b.right) / 2, b.right];
+        const py = [b.top, (b.top + b.bottom) / 2, b.bottom];
+        const targets = snapTargets(skip);
+        const step = gridSize();
+        const sx = nearestSnap(px, targets.x, limit) || nearestGridSnap(px, step, limit);
+        const sy = nearestSnap(py, targets.y, limit) || nearestGridSnap(py, step, limit);
+        const dx = sx ? sx.delta : 0;
+        const dy = sy ? sy.delta : 0;
+        // every target the snapped box now touches gets a guide
+        const guides = [];
+        const touching = (points, list, axis) => {
+            for (const t of list) {
+                if (points.some(p => Math.abs(p - t) < 0.5) && !guides.some(g => g.axis === axis && Math.abs(g.pos - t) < 0.5)) guides.push({ axis, pos: t });
+            }
+        };
+        if (sx) touching(px.map(p => p + dx), targets.x.concat(sx.pos), 'x');
+        if (sy) touching(py.map(p => p + dy), targets.y.concat(sy.pos), 'y');
+        return { dx, dy, guides };
+    }
+
+    // applySnap(it, skip, evt): snap `it` in place unless snapping is off or
+    // Alt is held; updates the guides shown on the canvas. `skip` lists the
+    // indices not to snap against.
+    function applySnap(it, skip, evt) {
+        snapSelection([it], skip, evt);
+    }
+
+    // snapSelection(list, skip, evt): snap the union of several items' bounds
+    // and move them all by the same offset, so a multi-item drag keeps its shape.
+    function snapSelection(list, skip, evt) {
+        if (!snapToggle || !snapToggle.checked || (evt && evt.altKey) || !list.length) {
+            activeGuides = [];
+            return;
+        }
+        const s = snapBox(unionBounds(list), skip);
+        for (const it of list) {
+            it.x += s.dx;
+            it.y += s.dy;
+        }
+        activeGuides = s.guides;
+    }
+
+    /**
+     * drawGuideOverlays()
+     * On-screen only helpers drawn by drawAll() when overlays are on: the
+     * grid (while grid snapping is enabled), safe-area frames and the
+     * magenta guides of the current snap.
+     */
+    function drawGuideOverlays() {
+        const ss = screenScale();
+        ctx.save();
+        ctx.lineWidth = ss;
+        const step = gridSize();
+        if (step >= 4 * ss) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.beginPath();
+            for (let x = step; x < canvas.width; x += step) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, canvas.height);
+            }
+            for (let y = step; y < canvas.height; y += step) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(canvas.width, y);
+            }
+            ctx.stroke();
+        }
+        ctx.font = `${12 * ss}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        for (const { label, rect } of visibleSafeAreas()) {
+            ctx.strokeStyle = 'rgba(255, 214, 10, 0.7)';
+            ctx.fillStyle = 'rgba(255, 214, 10, 0.85)';
+            ctx.setLineDash([10 * ss, 6 * ss]);
+            ctx.strokeRect(rect.left, rect.top, rect.right - rect.left, rect.bottom - rect.top);
+            ctx.setLineDash([]);
+            ctx.fillText(label, rect.left + 4 * ss, rect.top + 4 * ss);
+        }
+        ctx.strokeStyle = GUIDE_COLOR;
+        ctx.beginPath();
+        for (const g of activeGuides) {
+            if (g.axis === 'x') {
+                ctx.moveTo(g.pos, 0);
+                ctx.lineTo(g.pos, canvas.height);
+            } else {
+                ctx.moveTo(0, g.pos);
+                ctx.lineTo(canvas.width, g.pos);
+            }
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    for (const el of [actionSafeToggle, actionSafeInput, titleSafeToggle, titleSafeInput, snapGridToggle, snapGridInput]) {
+        if (el) el.addEventListener('input', scheduleDraw);
+    }
+
+    // Pointer down: set capture and start a drag when clicking an existing
+    // item, taking the rest of the selection along. The items are copied
+    // first so the whole drag can be recorded as one step on release.
     canvas.addEventListener('pointerdown', (evt) => {
         canvas.setPointerCapture(evt.pointerId);
         isPointerDown = true;
         const pos = getMousePos(evt);
+        // Handles of the selected item take priority over items beneath them
+        const handle = findHandleAt(pos.x, pos.y);
+        if (handle) {
+            const verb = handle.id === 'rotate' ? 'Rotate' : handle.id.startsWith('path') ? 'Bend' : 'Resize';
+            dragCapture = { label: `${verb} ${itemRef(items[selectedIndex])}`, captured: captureItems([selectedIndex]) };
+            transformDrag = beginTransformDrag(handle, pos);
+            draggingIndex = -1;
+            return;
+        }
         const hit = findItemAt(pos.x, pos.y);
-        if (hit >= 0) {
-            // Record a snapshot so the drag operation becomes undoable
-            pushState();
+        draggingIndex = -1;
+        if (hit >= 0 && evt.shiftKey) {
+            // Shift-click adds or removes the item (with its group) without dragging
+            const members = withGroups([hit]);
+            if (selection.includes(hit)) {
+                const rest = selection.filter(i => !members.includes(i));
+                setSelection(rest.includes(selectedIndex) ? selectedIndex : rest.length ? rest[0] : -1, rest);
+            } else {
+                setSelection(selectedIndex >= 0 ? selectedIndex : hit, selection.concat(members));
+            }
+            deselectedOnDown = true;
+        } else if (hit >= 0) {
+            // Clicking outside the selection picks the item (and its group);
+            // clicking inside it keeps the selection so it all moves together
+            setSelection(hit, selection.includes(hit) ? selection : withGroups([hit]));
+            deselectedOnDown = false;
+            const moving = selection.filter(i => !items[i].locked);
+            // Remember the items as they were; the drag is recorded when it ends
+            const label = moving.length > 1 ? `Move ${moving.length} items` : `Move ${itemRef(items[hit])}`;
+            dragCapture = { label, captured: captureItems(moving) };
             draggingIndex = hit;
-            const it = items[hit];
-            // track the offset between pointer and the item's anchor point
-            dragOffset.x = pos.x - it.x;
-            dragOffset.y = pos.y - it.y;
+            dragOrigin = pos;
+            dragStarts = moving.map(i => ({ index: i, x: items[i].x, y: items[i].y }));
         } else {
-            draggingIndex = -1;
+            // Empty canvas: clear the selection (Shift keeps it) and start a
+            // rubber-band selection that takes effect once the pointer moves
+            deselectedOnDown = evt.shiftKey || selectedIndex >= 0;
+            if (!evt.shiftKey) setSelection(-1);
+            marquee = { x0: pos.x, y0: pos.y, x1: pos.x, y1: pos.y, base: selection.slice(), active: false };
         }
     });
 
+    // updateMarquee(pos): stretch the rubber band to `pos` and select every
+    // visible, unlocked item it touches (plus the selection Shift kept).
+    function updateMarquee(pos) {
+        marquee.x1 = pos.x;
+        marquee.y1 = pos.y;
+        const ss = screenScale();
+        if (!marquee.active && Math.hypot(pos.x - marquee.x0, pos.y - marquee.y0) < MARQUEE_THRESHOLD * ss) return;
+        marquee.active = true;
+        const left = Math.min(marquee.x0, marquee.x1);
+        const right = Math.max(marquee.x0, marquee.x1);
+        const top = Math.min(marquee.y0, marquee.y1);
+        const bottom = Math.max(marquee.y0, marquee.y1);
+        const hits = [];
+        items.forEach((it, i) => {
+            if (it.hidden || it.locked) return;
+            const b = itemBounds(it);
+            if (b.left <= right && b.right >= left && b.top <= bottom && b.bottom >= top) hits.push(i);
+        });
+        const picked = withGroups(marquee.base.concat(hits));
+        setSelection(picked.length ? (marquee.base.length ? marquee.base[0] : picked[0]) : -1, picked);
+    }
+
     // Pointer move: if dragging, update item position. Otherwise perform hover hit-test
     // and update the preview shown to the user.
     // Pointer move: update dragging state or compute hover preview position.
     canvas.addEventListener('pointermove', (evt) => {
         const pos = getMousePos(evt);
-        if (draggingIndex >= 0 && isPointerDown) {
-            const it = items[draggingIndex];
-            it.x = pos.x - dragOffset.x;
-            it.y = pos.y - dragOffset.y;
+        if (transformDrag && isPointerDown) {
+            updateTransformDrag(transformDrag, pos, evt);
+        } else if (draggingIndex >= 0 && isPointerDown) {
+            // move every selected item by the pointer's travel, then snap them as one box
+            for (const start of dragStarts) {
+                items[start.index].x = start.x + pos.x - dragOrigin.x;
+                items[start.index].y = start.y + pos.y - dragOrigin.y;
+            }
+            snapSelection(dragStarts.map(start => items[start.index]), dragStarts.map(start => start.index), evt);
+            scheduleDraw();
+        } else if (marquee && isPointerDown) {
+            updateMarquee(pos);
             scheduleDraw();
         } else {
-            const hover = findItemAt(pos.x, pos.y);
-            canvas.style.cursor = hover >= 0 ? 'move' : 'default';
+            const handle = findHandleAt(pos.x, pos.y);
+            const hover = handle ? selectedIndex : findItemAt(pos.x, pos.y);
+            canvas.style.cursor = handle ? HANDLE_CURSORS[handle.id] : hover >= 0 ? 'move' : 'default';
 
             // When not hovering an existing item and the place toggle is enabled,
             // prepare a preview object so the user sees where a click would place text.
-            if (placeToggle.checked && hover < 0) {
-                const t = textInput.value || '';
-                if (t) {
-                    const size = parseInt(fontSizeInput.value, 10) || 48;
-                    const family = currentFontFamily();
-                    const color = colorInput.value || '#ffffff';
-                    const align = alignSelect.value || 'center';
-                    preview = { x: pos.x, y: pos.y, text: t, size, family, color, align };
-                } else preview = null;
+            if (placeToggle.checked && hover < 0 && textInput.value) {
+                preview = itemFromControls(pos.x, pos.y);
+                applySnap(preview, [], evt);
             } else {
                 preview = null;
+                activeGuides = [];
             }
             scheduleDraw();
         }
@@ -425,6 +1202,7 @@
             sample.className = 'sample';
             sample.textContent = 'Aa';
             sample.style.fontFamily = fontFamilyToCSS(name);
+            applySampleStyle(sample);
             const label = document.createElement('div');
             label.className = 'name';
             label.textContent = name;
@@ -467,6 +1245,24 @@
         const family = currentFontFamily();
         fontPreviewEl.style.fontFamily = fontFamilyToCSS(family);
         fontPreviewEl.textContent = 'Aa';
+        applySampleStyle(fontPreviewEl);
+    }
+
+    // Show a font sample in the weight, style, caps, case and tracking set in
+    // the typography controls, so the picker previews what will be placed.
+    function applySampleStyle(el) {
+        const transform = styleControlValue('textTransform');
+        el.style.fontWeight = styleControlValue('fontWeight');
+        el.style.fontStyle = styleControlValue('italic') ? 'italic' : 'normal';
+        el.style.fontVariant = styleControlValue('smallCaps') ? 'small-caps' : 'normal';
+        el.style.textTransform = transform === 'title' ? 'capitalize' : transform;
+        el.style.letterSpacing = `${styleControlValue('letterSpacing')}em`;
+    }
+
+    // Restyle every sample after a typography control changes.
+    function updateFontSamples() {
+        updateFontPreview();
+        if (fontPanelEl) fontPanelEl.querySelectorAll('.sample').forEach(applySampleStyle);
     }
 
     // Toggle panel when clicking preview element
@@ -509,202 +1305,3113 @@
         fontLoadingEl.setAttribute('aria-hidden', 'true');
     }
 
-    // loadFontFor(family, timeout)
+    // fontSpec(family, { weight, italic }) -> CSS font shorthand naming one face.
+    // The size is arbitrary: it doesn't change which face is loaded, but some
+    // browsers use it for matching.
+    function fontSpec(family, { weight = 400, italic = false } = {}) {
+        return `${italic ? 'italic ' : ''}${weight} 48px "${family.replace(/"/g, '')}"`;
+    }
+
+    // loadFontFor(family, timeout, { weight, italic, text })
     // Attempt to load the specified font family using the Font Loading API.
-    // Returns a promise that resolves when the font is ready or when the
-    // timeout elapses (to avoid hanging forever on slow networks).
-    function loadFontFor(family, timeout = 3000) {
+    // `text` picks the faces covering those characters when a font is split
+    // into unicode ranges. Resolves when the font is ready (or when nothing
+    // needs downloading, as for system fonts). Rejects with a readable error
+    // when a face fails to download or decode, or when the timeout elapses first.
+    function loadFontFor(family, timeout = 3000, { weight = 400, italic = false, text } = {}) {
         if (!family) return Promise.resolve();
         // If the Font Loading API is unavailable, resolve immediately.
         if (!document.fonts || !document.fonts.load) return Promise.resolve();
-        // Use a reasonable size for the load() call — the size itself doesn't
-        // change which font face is loaded, but some browsers use it for matching.
-        const spec = `48px "${family.replace(/"/g, '')}"`;
-        try {
-            const loadPromise = document.fonts.load(spec);
-            const timeoutPromise = new Promise((res) => setTimeout(res, timeout));
-            return Promise.race([loadPromise, timeoutPromise]).then(() => { });
-        } catch (e) {
-            return Promise.resolve();
-        }
+        const spec = fontSpec(family, { weight, italic });
+        let timer;
+        const timeoutPromise = new Promise((res, rej) => {
+            timer = setTimeout(() => rej(new Error(`Font "${family}" did not load within ${timeout / 1000} s.`)), timeout);
+        });
+        const loadPromise = Promise.resolve().then(() => document.fonts.load(spec, text || undefined)).catch((err) => {
+            throw new Error(`Font "${family}" failed to load${err && err.message ? `: ${err.message}` : '.'}`);
+        });
+        return Promise.race([loadPromise, timeoutPromise]).then(() => { }).finally(() => clearTimeout(timer));
     }
 
     // Handle font change: update preview immediately, show spinner, and
-    // hide the spinner once the font has loaded (or after timeout).
+    // hide the spinner once the font has loaded. A failed load marks the
+    // spinner as an error (its tooltip carries the message) until the next change.
     function handleFontChange() {
         updateFontPreview();
         const family = currentFontFamily();
+        const variant = { weight: styleControlValue('fontWeight'), italic: styleControlValue('italic') };
         // Kick off spinner only if we have a spinner element
-        if (fontLoadingEl) showFontLoading();
-        loadFontFor(family, 3000).then(() => {
+        if (fontLoadingEl) {
+            fontLoadingEl.classList.remove('error');
+            fontLoadingEl.title = 'Loading font';
+            showFontLoading();
+        }
+        requestFontVariant(family, variant.weight, variant.italic).then(() => loadFontFor(family, 3000, variant)).then(() => {
             // Small delay to avoid flicker for very fast loads
             setTimeout(hideFontLoading, 120);
+            scheduleDraw();
+        }, (err) => {
+            console.warn(err.message);
+            hideFontLoading();
+            if (!fontLoadingEl) return;
+            fontLoadingEl.classList.add('error');
+            fontLoadingEl.title = `${err.message} A fallback font is shown instead.`;
+            fontLoadingEl.setAttribute('aria-hidden', 'false');
         });
     }
-    if (colorSwatch && colorInput) {
-        // Initialize swatch and update on color changes
-        colorSwatch.style.background = colorInput.value;
-        colorInput.addEventListener('input', () => {
-            colorSwatch.style.background = colorInput.value;
-            updateCanvasContrast(colorInput.value);
-        });
+
+    // Families served by the Google Fonts stylesheet linked from index.html.
+    // That stylesheet carries the regular (and for some, bold) faces; other
+    // weights and italics are requested on demand by requestFontVariant().
+    const GOOGLE_FONT_FAMILIES = (() => {
+        const link = document.querySelector('link[href*="fonts.googleapis.com/css"]');
+        if (!link) return new Set();
+        try {
+            return new Set(new URL(link.href).searchParams.getAll('family').map(f => f.split(':')[0]));
+        } catch (e) {
+            return new Set();
+        }
+    })();
+    const fontVariantRequests = new Map(); // "family|weight|italic" -> Promise
+
+    /**
+     * requestFontVariant(family, weight, italic) -> Promise
+     * Add a Google Fonts stylesheet for one weight/style of a family so the
+     * real face is used instead of a synthesized one. Rejects when Google
+     * Fonts does not offer that variant. Other families resolve at once.
+     */
+    function requestFontVariant(family, weight = 400, italic = false) {
+        if (!GOOGLE_FONT_FAMILIES.has(family) || (weight === 400 && !italic)) return Promise.resolve();
+        const key = `${family}|${weight}|${italic ? 1 : 0}`;
+        if (!fontVariantRequests.has(key)) {
+            fontVariantRequests.set(key, new Promise((resolve, reject) => {
+                const link = document.createElement('link');
+                link.rel = 'stylesheet';
+                link.href = `https://fonts.googleapis.com/css2?family=${encodeURIComponent(family).replace(/%20/g, '+')}:ital,wght@${italic ? 1 : 0},${weight}&display=swap`;
+                // a stalled request must not hold up exports forever
+                const timer = setTimeout(() => reject(new Error(`${family} ${weight}${italic ? ' italic' : ''} did not load in time.`)), 5000);
+                link.onload = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                link.onerror = () => {
+                    clearTimeout(timer);
+                    reject(new Error(`${family} has no ${weight}${italic ? ' italic' : ''} face; the browser will synthesize it.`));
+                };
+                document.head.appendChild(link);
+            }));
+            // a failed request is forgotten so a retry asks again
+            fontVariantRequests.get(key).catch(() => fontVariantRequests.delete(key));
+        }
+        return fontVariantRequests.get(key);
     }
 
-    // Change canvas background (and subtly the border) to contrast with the
-    // currently selected text color. This helps preview text legibility while
-    // the canvas pixels themselves are cleared to transparent.
-    function hexToRgb(hex) {
-        if (!hex) return { r: 0, g: 0, b: 0 };
-        let h = hex.replace('#', '');
-        if (h.length === 3) h = h.split('').map(c => c + c).join('');
-        const int = parseInt(h, 16);
-        return { r: (int >> 16) & 255, g: (int >> 8) & 255, b: int & 255 };
+    // fontsInUse(list) -> [{ family, weight, italic, text }], one entry per
+    // face the text items (and their styled runs) use, with all the text set in it
+    function fontsInUse(list) {
+        const faces = new Map();
+        for (const it of list) {
+            if (it.type === 'image' || it.type === 'shape' || !it.family) continue;
+            for (const { text, style } of styledSegments(it)) {
+                const weight = style.fontWeight || 400;
+                const italic = !!style.italic;
+                const key = `${style.family}|${weight}|${italic}`;
+                if (!faces.has(key)) faces.set(key, { family: style.family, weight, italic, text: '' });
+                faces.get(key).text += text;
+            }
+        }
+        return Array.from(faces.values());
     }
 
-    function getRelativeLuminance({ r, g, b }) {
-        // Convert sRGB to linear values then compute relative luminance
-        const srgb = [r, g, b].map(v => v / 255).map(c => {
-            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-        });
-        return 0.2126 * srgb[0] + 0.7152 * srgb[1] + 0.0722 * srgb[2];
+    // faceName(face) -> "Family", "Family 700" or "Family 700 italic" for lists shown to the user
+    function faceName(f) {
+        return `${f.family}${f.weight !== 400 ? ` ${f.weight}` : ''}${f.italic ? ' italic' : ''}`;
     }
 
-    function updateCanvasContrast(hex) {
-        const rgb = hexToRgb(hex || '#ffffff');
-        const lum = getRelativeLuminance(rgb);
-        // If selected color is dark (low luminance) use a light canvas background,
-        // otherwise keep a dark canvas background. Also tweak border color.
-        if (lum < 0.5) {
-            canvas.style.background = '#f6f7f8';
-            canvas.style.borderColor = '#dcdcdc';
-        } else {
-            canvas.style.background = '#000';
-            canvas.style.borderColor = '#2f2f2f';
-        }
+    /**
+     * loadFontsInUse(list) -> Promise<string[]>
+     * Request and load every family/weight/style combination the items use.
+     * Resolves with the names of the faces that could not be loaded.
+     */
+    function loadFontsInUse(list = items) {
+        const faces = fontsInUse(list);
+        const loads = faces.map(f => requestFontVariant(f.family, f.weight, f.italic).then(() => loadFontFor(f.family, 3000, f)));
+        return Promise.allSettled(loads).then(results => faces.filter((f, i) => results[i].status === 'rejected').map(faceName));
     }
 
-    // Build UI and initialize previews
-    populateFontPanel();
-    updateFontPreview();
-    // Attempt to load the initially selected font and show spinner briefly
-    if (fontSelect) handleFontChange();
-    // initialize canvas contrast based on the current color input
-    if (colorInput && colorInput.value) updateCanvasContrast(colorInput.value);
+    // missingFonts(list) -> names of the faces `document.fonts.check()` says
+    // are not ready to draw the items' text (so a fallback would be used)
+    function missingFonts(list = items) {
+        if (!document.fonts || !document.fonts.check) return [];
+        return fontsInUse(list).filter((f) => {
+            try {
+                return !document.fonts.check(fontSpec(f.family, f), f.text || undefined);
+            } catch (e) {
+                return false;
+            }
+        }).map(faceName);
+    }
 
-    // Pointer up: if we were dragging finish it; otherwise if click-to-place is active
-    // create a new item (and push a snapshot so the placement is undoable).
-    // Pointer up: finish drag or place new text if 'Place on click' is enabled.
-    canvas.addEventListener('pointerup', (evt) => {
+    /**
+     * fontsReadyForExport(list) -> Promise<boolean>
+     * Load every face the items use, then verify each one. When some failed
+     * to load or are still missing a dialog lists them and offers to retry,
+     * export anyway or cancel; resolves false when the export should not go ahead.
+     */
+    async function fontsReadyForExport(list = items) {
+        for (;;) {
+            const failed = await loadFontsInUse(list);
+            const missing = Array.from(new Set(failed.concat(missingFonts(list))));
+            if (!missing.length) return true;
+            const choice = await askMissingFonts(missing);
+            if (choice !== 'retry') return choice === 'export';
+        }
+    }
+
+    // Fonts and images both have to be ready before an export is rendered.
+    // Resolves false when the user cancelled over missing fonts.
+    function assetsReadyForExport(list = items) {
+        return Promise.all([fontsReadyForExport(list), imagesReady(list)]).then(([fontsOk]) => fontsOk);
+    }
+
+    /**
+     * askMissingFonts(missing) -> Promise<'retry' | 'export' | 'cancel'>
+     * Show the missing-fonts warning and resolve with the button chosen
+     * (Esc cancels).
+     */
+    function askMissingFonts(missing) {
+        if (!fontWarningEl) {
+            const ok = window.confirm(`These fonts have not loaded and would be replaced by a fallback font:\n\n${missing.join('\n')}\n\nExport anyway?`);
+            return Promise.resolve(ok ? 'export' : 'cancel');
+        }
+        fontWarningListEl.innerHTML = '';
+        for (const name of missing) {
+            const li = document.createElement('li');
+            li.textContent = name;
+            fontWarningListEl.appendChild(li);
+        }
+        fontWarningEl.hidden = false;
+        const buttons = fontWarningEl.querySelectorAll('[data-choice]');
+        if (buttons.length) buttons[0].focus();
+        return new Promise((resolve) => {
+            const done = (choice) => {
+                fontWarningEl.hidden = true;
+                fontWarningEl.removeEventListener('click', onClick);
+                fontWarningEl.removeEventListener('keydown', onKey);
+                resolve(choice);
+            };
+            const onClick = (e) => {
+                const btn = e.target.closest('[data-choice]');
+                if (btn) done(btn.dataset.choice);
+            };
+            const onKey = (e) => {
+                if (e.key !== 'Escape') return;
+                e.preventDefault();
+                done('cancel');
+            };
+            fontWarningEl.addEventListener('click', onClick);
+            fontWarningEl.addEventListener('keydown', onKey);
+        });
+    }
+
+    // Faces that finish loading late (slow network, on-demand variants)
+    // repaint the canvas so it stops showing the fallback.
+    if (document.fonts && document.fonts.addEventListener) document.fonts.addEventListener('loadingdone', scheduleDraw);
+
+    // ---------------------------------------------------------------------
+    // Background preview (reference image/video, checkerboard)
+    // ---------------------------------------------------------------------
+
+    // A still or a video frame drawn behind the items so a title can be
+    // judged over the actual shot. Like the guides it is an on-screen aid:
+    // drawAll() paints it only with overlays on, so exports stay transparent.
+    // The file is referenced by an object URL and never saved in the project.
+    const CHECKER_SIZE = 12; // checkerboard square, CSS pixels
+    let backdrop = null;     // { el: <img>|<video>, url, name, video }
+    let checkerPattern = null;
+
+    // backdropSize() -> natural {width, height} of the loaded reference
+    function backdropSize() {
+        const el = backdrop.el;
+        return backdrop.video ? { width: el.videoWidth, height: el.videoHeight } : { width: el.naturalWidth, height: el.naturalHeight };
+    }
+
+    /**
+     * drawBackdrop()
+     * Paint the checkerboard (when enabled), then the reference fitted to
+     * the canvas and darkened by the dimming amount.
+     */
+    function drawBackdrop() {
+        if (bgCheckerToggle && bgCheckerToggle.checked) drawCheckerboard();
+        if (!backdrop || (bgShowToggle && !bgShowToggle.checked)) return;
+        const { width, height } = backdropSize();
+        if (!width || !height) return;
+        const fit = bgFitSelect ? bgFitSelect.value : 'cover';
+        let w = canvas.width;
+        let h = canvas.height;
+        if (fit !== 'stretch') {
+            const s = (fit === 'contain' ? Math.min : Math.max)(canvas.width / width, canvas.height / height);
+            w = width * s;
+            h = height * s;
+        }
+        ctx.save();
+        ctx.drawImage(backdrop.el, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+        const dim = bgDimInput ? clamp((parseFloat(bgDimInput.value) || 0) / 100, 0, 0.95) : 0;
+        if (dim > 0) {
+            ctx.fillStyle = `rgba(0, 0, 0, ${dim})`;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.restore();
+    }
+
+    // drawCheckerboard(): gray/white squares of a constant on-screen size
+    function drawCheckerboard() {
+        const size = Math.max(1, Math.round(CHECKER_SIZE * screenScale()));
+        if (!checkerPattern || checkerPattern.size !== size) {
+            const tile = document.createElement('canvas');
+            tile.width = tile.height = size * 2;
+            const tctx = tile.getContext('2d');
+            tctx.fillStyle = '#ffffff';
+            tctx.fillRect(0, 0, size * 2, size * 2);
+            tctx.fillStyle = '#cccccc';
+            tctx.fillRect(size, 0, size, size);
+            tctx.fillRect(0, size, size, size);
+            checkerPattern = { size, pattern: ctx.createPattern(tile, 'repeat') };
+        }
+        ctx.save();
+        ctx.fillStyle = checkerPattern.pattern;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    }
+
+    // formatTime(seconds) -> "m:ss.s"
+    function formatTime(t) {
+        const m = Math.floor(t / 60);
+        return `${m}:${(t - m * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    function updateBackdropUI() {
+        if (bgNameEl) bgNameEl.textContent = backdrop ? `${backdrop.name} (${backdropSize().width}×${backdropSize().height})` : 'No reference loaded';
+        if (bgClearBtn) bgClearBtn.disabled = !backdrop;
+        if (bgScrubRow) bgScrubRow.hidden = !(backdrop && backdrop.video);
+        if (backdrop && backdrop.video && bgTimeInput) {
+            bgTimeInput.max = backdrop.el.duration || 0;
+            bgTimeInput.value = backdrop.el.currentTime;
+            if (bgTimeLabel) bgTimeLabel.textContent = formatTime(backdrop.el.currentTime);
+        }
+    }
+
+    function clearBackdrop() {
+        if (!backdrop) return;
+        URL.revokeObjectURL(backdrop.url);
+        if (backdrop.video) {
+            backdrop.el.removeAttribute('src');
+            backdrop.el.load();
+        }
+        backdrop = null;
+        updateBackdropUI();
+        scheduleDraw();
+    }
+
+    // loadBackdrop(file): show an image or video file behind the canvas
+    function loadBackdrop(file) {
+        const video = file.type.startsWith('video/');
+        if (!video && !file.type.startsWith('image/')) {
+            window.alert(`"${file.name}" is not an image or video file.`);
+            return;
+        }
+        const url = URL.createObjectURL(file);
+        const el = document.createElement(video ? 'video' : 'img');
+        el.addEventListener('error', () => {
+            URL.revokeObjectURL(url);
+            window.alert(`Could not load "${file.name}". This browser may not support its format.`);
+        }, { once: true });
+        el.addEventListener(video ? 'loadeddata' : 'load', () => {
+            clearBackdrop();
+            backdrop = { el, url, name: file.name, video };
+            updateBackdropUI();
+            scheduleDraw();
+        }, { once: true });
+        if (video) {
+            // only single frames are shown; scrubbing seeks and redraws
+            el.muted = true;
+            el.preload = 'auto';
+            el.playsInline = true;
+            el.addEventListener('seeked', scheduleDraw);
+        }
+        el.src = url;
+    }
+
+    if (bgLoadBtn && bgFileInput) {
+        bgLoadBtn.addEventListener('click', () => bgFileInput.click());
+        bgFileInput.addEventListener('change', () => {
+            const file = bgFileInput.files[0];
+            bgFileInput.value = '';
+            if (file) loadBackdrop(file);
+        });
+    }
+    if (bgClearBtn) bgClearBtn.addEventListener('click', clearBackdrop);
+    if (bgTimeInput) bgTimeInput.addEventListener('input', () => {
+        if (!backdrop || !backdrop.video) return;
+        const t = parseFloat(bgTimeInput.value) || 0;
+        backdrop.el.currentTime = t;
+        if (bgTimeLabel) bgTimeLabel.textContent = formatTime(t);
+    });
+    for (const el of [bgFitSelect, bgDimInput, bgShowToggle, bgCheckerToggle]) {
+        if (el) el.addEventListener('input', scheduleDraw);
+    }
+
+    // ---------------------------------------------------------------------
+    // Custom fonts (uploaded files, kept in IndexedDB)
+    // ---------------------------------------------------------------------
+
+    // Uploaded TTF/OTF/WOFF/WOFF2 files become FontFace objects in
+    // `document.fonts` and are stored in IndexedDB so they are available
+    // again (offline too) on the next visit. Records: { family, fileName, data }.
+    const FONT_DB_NAME = 'igroovie';
+    const FONT_STORE = 'fonts';
+    const FONT_FILE_RE = /\.(ttf|otf|woff2?)$/i;
+
+    // openFontDB() -> Promise<IDBDatabase>
+    function openFontDB() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('This browser has no IndexedDB; uploaded fonts will only last for this session.'));
+                return;
+            }
+            const req = indexedDB.open(FONT_DB_NAME, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore(FONT_STORE, { keyPath: 'family' });
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // fontStore(mode, fn) -> Promise resolving with the result of `fn(store)`'s request
+    function fontStore(mode, fn) {
+        return openFontDB().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(FONT_STORE, mode);
+            const req = fn(tx.objectStore(FONT_STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(req.result);
+            };
+            tx.onerror = () => {
+                db.close();
+                reject(tx.error);
+            };
+        }));
+    }
+
+    // fontFamilyFromFileName("BrandSans-Bold.otf") -> "BrandSans Bold"
+    function fontFamilyFromFileName(name) {
+        return name.replace(FONT_FILE_RE, '').replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim() || 'Custom Font';
+    }
+
+    // Register font bytes with the document. Rejects when the browser cannot parse them.
+    function registerFontFace(family, data) {
+        const face = new FontFace(family, data);
+        return face.load().then((loaded) => {
+            document.fonts.add(loaded);
+            return loaded;
+        });
+    }
+
+    // Add an uploaded family to the "Custom fonts" group of the font select,
+    // replacing a plain option of the same name (e.g. one a project added).
+    function addCustomFontOption(family) {
+        if (!fontSelect) return;
+        const existing = Array.from(fontSelect.options).find(o => o.text === family);
+        if (existing && existing.parentNode === customFontsGroup) return;
+        const wasSelected = existing && existing.selected;
+        if (existing) existing.remove();
+        const opt = document.createElement('option');
+        opt.text = family;
+        if (customFontsGroup) {
+            customFontsGroup.appendChild(opt);
+            customFontsGroup.hidden = false;
+        } else {
+            fontSelect.add(opt);
+        }
+        if (wasSelected) opt.selected = true;
+    }
+
+    /**
+     * importFontFiles(files) -> Promise
+     * Load each dropped/picked font file, store it, add it to the pickers and
+     * select the last one. Files the browser cannot parse are reported
+     * together once all files have been tried.
+     */
+    async function importFontFiles(files) {
+        const failed = [];
+        let lastFamily = null;
+        for (const file of files) {
+            const family = fontFamilyFromFileName(file.name);
+            try {
+                if (!FONT_FILE_RE.test(file.name)) throw new Error('not a TTF, OTF, WOFF or WOFF2 file');
+                const data = await file.arrayBuffer();
+                await registerFontFace(family, data);
+                addCustomFontOption(family);
+                lastFamily = family;
+                await fontStore('readwrite', store => store.put({ family, fileName: file.name, data })).catch((err) => {
+                    console.warn('Could not store font', family, err);
+                    failed.push(`${file.name}: loaded for this session only (${err.message})`);
+                });
+            } catch (err) {
+                failed.push(`${file.name}: ${err.message || 'the browser could not read this font'}`);
+            }
+        }
+        if (lastFamily) {
+            populateFontPanel();
+            fontSelect.value = lastFamily;
+            fontSelect.dispatchEvent(new Event('change'));
+        }
+        if (failed.length) window.alert(`Some fonts could not be imported:\n- ${failed.join('\n- ')}`);
+    }
+
+    // Re-register every stored font on startup, then redraw items using them.
+    function loadStoredFonts() {
+        return fontStore('readonly', store => store.getAll()).then((records) => {
+            if (!records || !records.length) return;
+            return Promise.all(records.map(rec => registerFontFace(rec.family, rec.data)
+                .then(() => addCustomFontOption(rec.family))
+                .catch(err => console.warn(`Stored font "${rec.family}" could not be loaded`, err))))
+                .then(() => {
+                    populateFontPanel();
+                    updateFontPreview();
+                    scheduleDraw();
+                });
+        }).catch(err => console.warn('Custom fonts unavailable', err));
+    }
+
+    if (fontUploadBtn && fontFileInput) {
+        fontUploadBtn.addEventListener('click', () => fontFileInput.click());
+        fontFileInput.addEventListener('change', () => {
+            const files = Array.from(fontFileInput.files);
+            fontFileInput.value = '';
+            if (files.length) importFontFiles(files);
+        });
+    }
+    if (colorSwatch && colorInput) {
+        // Initialize swatch and update on color changes
+        colorSwatch.style.background = colorInput.value;
+        colorInput.addEventListener('input', () => {
+            colorSwatch.style.background = colorInput.value;
+            updateCanvasContrast(colorInput.value);
+        });
+    }
+
+    // Change canvas background (and subtly the border) to contrast with the
+    // currently selected text color. This helps preview text legibility while
+    // the canvas pixels themselves are cleared to transparent.
+
+    function getRelativeLuminance({ r, g, b }) {
+        // Convert sRGB to linear values then compute relative luminance
+        const srgb = [r, g, b].map(v => v / 255).map(c => {
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * srgb[0] + 0.7152 * srgb[1] + 0.0722 * srgb[2];
+    }
+
+    function updateCanvasContrast(hex) {
+        const rgb = hexToRgb(hex || '#ffffff');
+        const lum = getRelativeLuminance(rgb);
+        // If selected color is dark (low luminance) use a light canvas background,
+        // otherwise keep a dark canvas background. Also tweak border color.
+        if (lum < 0.5) {
+            canvas.style.background = '#f6f7f8';
+            canvas.style.borderColor = '#dcdcdc';
+        } else {
+            canvas.style.background = '#000';
+            canvas.style.borderColor = '#2f2f2f';
+        }
+    }
+
+    // Build UI and initialize previews
+    populateFontPanel();
+    loadStoredFonts();
+    updateFontPreview();
+    // Attempt to load the initially selected font and show spinner briefly
+    if (fontSelect) handleFontChange();
+    // initialize canvas contrast based on the current color input
+    if (colorInput && colorInput.value) updateCanvasContrast(colorInput.value);
+
+    // ---------------------------------------------------------------------
+    // Selection and inspector
+    // ---------------------------------------------------------------------
+
+    /**
+     * setSelection(index, others)
+     * Select the item at `index` (or clear the selection with -1), plus the
+     * items in `others` for a multi-selection. The sidebar controls are
+     * loaded from the primary item at `index` so they act as its inspector;
+     * any open edit session is closed first.
+     */
+    function setSelection(index, others = []) {
+        const next = index >= 0 && index < items.length ? index : -1;
+        if (next !== selectedIndex) endEditSession();
+        selectedIndex = next;
+        selection = next < 0 ? [] : Array.from(new Set([next].concat(others)))
+            .filter(i => i >= 0 && i < items.length).sort((a, b) => a - b);
+        if (next >= 0) syncControlsFromItem(items[next]);
+        if (deleteBtn) deleteBtn.disabled = next < 0;
+        if (selectionInfoEl) {
+            selectionInfoEl.hidden = next < 0;
+            selectionInfoEl.textContent = selection.length > 1
+                ? `${selection.length} items selected; edits apply to all of them. Press Esc to deselect.`
+                : 'Editing the selected item. Press Esc to deselect.';
+        }
+        updateArrangeUI();
+        scheduleDraw();
+    }
+
+    // withGroups(indices) -> indices plus every other member of their groups
+    function withGroups(indices) {
+        const groups = new Set(indices.map(i => items[i] && items[i].group).filter(Boolean));
+        const out = new Set(indices);
+        items.forEach((it, i) => {
+            if (it.group && groups.has(it.group)) out.add(i);
+        });
+        return Array.from(out).sort((a, b) => a - b);
+    }
+
+    // Load the sidebar controls from an item without firing their events.
+    function syncControlsFromItem(it) {
+        for (const c of ANIM_CONTROLS) {
+            if (c.el) writeStyleControl(c, it[c.prop] !== undefined ? it[c.prop] : ANIM_DEFAULTS[c.prop]);
+        }
+        if (it.type === 'image' || it.type === 'shape') {
+            // only the controls of properties the layer has apply to it
+            const props = it.type === 'image' ? IMAGE_PROPS : SHAPE_PROPS;
+            if (alignSelect) alignSelect.value = it.align || 'center';
+            for (const c of STYLE_CONTROLS.concat(SHAPE_CONTROLS)) {
+                if (c.el && props.includes(c.prop) && it[c.prop] !== undefined) writeStyleControl(c, it[c.prop]);
+            }
+            if (colorInput && it.type === 'shape') {
+                colorInput.value = it.color;
+                if (colorSwatch) colorSwatch.style.background = it.color;
+            }
+            return;
+        }
+        if (textInput) textInput.value = it.text;
+        if (fontSelect) {
+            const idx = Array.from(fontSelect.options).findIndex(o => o.text === it.family);
+            if (idx >= 0) fontSelect.selectedIndex = idx;
+            updateFontPreview();
+        }
+        if (fontSizeInput) fontSizeInput.value = it.size;
+        if (fontRange) fontRange.value = it.size;
+        if (colorInput && it.color) {
+            colorInput.value = it.color;
+            if (colorSwatch) colorSwatch.style.background = it.color;
+            updateCanvasContrast(it.color);
+        }
+        if (alignSelect) alignSelect.value = it.align || 'center';
+        if (textAlignSelect) textAlignSelect.value = it.textAlign || defaultTextAlign(it.align);
+        if (lineHeightInput) lineHeightInput.value = it.lineHeight || 1.2;
+        if (maxWidthInput) maxWidthInput.value = it.maxWidth || 0;
+        for (const c of STYLE_CONTROLS) {
+            if (c.el) writeStyleControl(c, it[c.prop] !== undefined ? it[c.prop] : STYLE_DEFAULTS[c.prop]);
+        }
+        fillStopsState = JSON.parse(JSON.stringify(Array.isArray(it.fillStops) ? it.fillStops : STYLE_DEFAULTS.fillStops));
+        fillPatternState = it.fillPattern || '';
+        renderFillEditor();
+        updateFontSamples();
+    }
+
+    // Edits to the selected item are grouped into sessions: the first change
+    // to a property records a step, later changes to the same property
+    // (e.g. every keystroke or slider tick) merge into that one step. A
+    // `change` event, a different property or a new selection ends it.
+    let editSession = null;
+    let editSessionCount = 0;
+    // With several items selected a style edit applies to each of them that
+    // has the property; the text itself only changes on the primary item.
+    function editSelected(prop, value) {
+        if (selectedIndex < 0) return;
+        const targets = (prop === 'text' ? [selectedIndex] : selection)
+            .filter(i => items[i] && acceptsProp(items[i], prop) && JSON.stringify(items[i][prop]) !== JSON.stringify(value));
+        if (!targets.length) return;
+        if (!editSession || editSession.prop !== prop) editSession = { prop, key: `edit#${++editSessionCount}` };
+        const label = targets.length > 1 ? `Edit ${propLabel(prop)} of ${targets.length} items` : `Edit ${propLabel(prop)} of ${itemRef(items[targets[0]])}`;
+        changeItems(label, targets, () => {
+            for (const i of targets) {
+                // styled runs follow the characters they cover when the text changes
+                if (prop === 'text' && hasRuns(items[i])) setRuns(items[i], adjustRunsForEdit(items[i].runs, String(items[i].text), value));
+                items[i][prop] = typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+            }
+        }, { mergeKey: editSession.key });
+        scheduleDraw();
+    }
+
+    // acceptsProp(it, prop) -> whether a sidebar control may set `prop` on the item
+    function acceptsProp(it, prop) {
+        if (it.type === 'image') return IMAGE_PROPS.includes(prop);
+        if (it.type === 'shape') return SHAPE_PROPS.includes(prop);
+        return !SHAPE_CONTROLS.some(c => c.prop === prop);
+    }
+
+    // Readable names for history labels; other properties are spelled out
+    // from their camelCase names ("shadowOffsetX" -> "shadow offset x").
+    const PROP_LABELS = {
+        family: 'font', align: 'anchor', textAlign: 'paragraph alignment', maxWidth: 'wrap width',
+        fillStops: 'gradient stops', fillPattern: 'pattern image', fontWeight: 'weight', italic: 'italic', letterSpacing: 'tracking',
+        animIn: 'in animation', animOut: 'out animation', animInDuration: 'in duration', animOutDuration: 'out duration',
+        animStart: 'start time', animEnd: 'end time', animEdge: 'slide edge'
+    };
+    function propLabel(prop) {
+        return PROP_LABELS[prop] || prop.replace(/([A-Z])/g, ' $1').toLowerCase();
+    }
+    function endEditSession() {
+        editSession = null;
+    }
+
+    if (textInput) {
+        textInput.addEventListener('input', () => {
+            // an empty string would leave an invisible, unselectable item
+            if (textInput.value) editSelected('text', textInput.value);
+        });
+        textInput.addEventListener('change', endEditSession);
+    }
+    if (fontSelect) fontSelect.addEventListener('change', () => {
+        editSelected('family', currentFontFamily());
+        endEditSession();
+    });
+    if (fontRange) {
+        fontRange.addEventListener('input', () => editSelected('size', clamp(parseInt(fontRange.value, 10) || 8, 8, 800)));
+        fontRange.addEventListener('change', endEditSession);
+    }
+    if (fontSizeInput) {
+        fontSizeInput.addEventListener('input', () => {
+            const v = parseInt(fontSizeInput.value, 10);
+            if (v >= 8 && v <= 800) editSelected('size', v);
+        });
+        fontSizeInput.addEventListener('change', () => {
+            editSelected('size', clamp(parseInt(fontSizeInput.value, 10) || 8, 8, 800));
+            endEditSession();
+        });
+    }
+    if (colorInput) {
+        colorInput.addEventListener('input', () => editSelected('color', colorInput.value));
+        colorInput.addEventListener('change', endEditSession);
+    }
+    if (alignSelect) alignSelect.addEventListener('change', () => {
+        editSelected('align', alignSelect.value);
+        endEditSession();
+    });
+    if (textAlignSelect) textAlignSelect.addEventListener('change', () => {
+        editSelected('textAlign', textAlignSelect.value);
+        endEditSession();
+    });
+    if (lineHeightInput) {
+        lineHeightInput.addEventListener('input', () => {
+            const v = parseFloat(lineHeightInput.value);
+            if (v >= 0.5 && v <= 4) editSelected('lineHeight', v);
+        });
+        lineHeightInput.addEventListener('change', () => {
+            const v = clamp(parseFloat(lineHeightInput.value) || 1.2, 0.5, 4);
+            lineHeightInput.value = v;
+            editSelected('lineHeight', v);
+            endEditSession();
+        });
+    }
+    if (maxWidthInput) {
+        maxWidthInput.addEventListener('input', () => {
+            const v = parseInt(maxWidthInput.value, 10);
+            if (v >= 0) editSelected('maxWidth', v);
+        });
+        maxWidthInput.addEventListener('change', () => {
+            const v = Math.max(0, parseInt(maxWidthInput.value, 10) || 0);
+            maxWidthInput.value = v;
+            editSelected('maxWidth', v);
+            endEditSession();
+        });
+    }
+
+    // Effect controls: sliders and number fields extend one undo step while
+    // they change; checkboxes, selects and committed values end it.
+    for (const c of STYLE_CONTROLS) {
+        if (!c.el) continue;
+        c.el.addEventListener('input', () => editSelected(c.prop, readStyleControl(c)));
+        c.el.addEventListener('change', () => {
+            editSelected(c.prop, readStyleControl(c));
+            endEditSession();
+        });
+    }
+
+    // Typography controls restyle the font samples; weight and italic also
+    // fetch the matching face.
+    for (const c of STYLE_CONTROLS) {
+        if (!c.el || !['fontWeight', 'italic', 'smallCaps', 'textTransform', 'letterSpacing'].includes(c.prop)) continue;
+        c.el.addEventListener('input', updateFontSamples);
+        if (c.prop === 'fontWeight' || c.prop === 'italic') c.el.addEventListener('change', handleFontChange);
+    }
+
+    // ---------------------------------------------------------------------
+    // Fill editor (solid / gradient / pattern)
+    // ---------------------------------------------------------------------
+
+    // Gradient stops and pattern image shown in the editor. They are used for
+    // new items and mirror the selected item while one is selected.
+    let fillStopsState = JSON.parse(JSON.stringify(STYLE_DEFAULTS.fillStops));
+    let fillPatternState = '';
+
+    // Push an edited stop list / pattern to the selected item (one undo step per session).
+    function commitFillStops(end) {
+        editSelected('fillStops', JSON.parse(JSON.stringify(fillStopsState)));
+        if (end) endEditSession();
+        scheduleDraw();
+    }
+
+    /**
+     * renderFillEditor()
+     * Rebuild the stop rows from `fillStopsState` and show only the controls
+     * that apply to the chosen fill type.
+     */
+    function renderFillEditor() {
+        const type = fillTypeSelect ? fillTypeSelect.value : 'solid';
+        document.querySelectorAll('[data-fill]').forEach((el) => {
+            el.hidden = !el.dataset.fill.split(' ').includes(type);
+        });
+        if (fillPatternNameEl) fillPatternNameEl.textContent = fillPatternState ? 'Image loaded' : 'No image';
+        if (!fillStopsEl) return;
+        fillStopsEl.innerHTML = '';
+        fillStopsState.forEach((st, i) => {
+            const row = document.createElement('div');
+            row.className = 'fill-stop';
+            const offset = document.createElement('input');
+            offset.type = 'number';
+            offset.min = 0;
+            offset.max = 100;
+            offset.value = Math.round(st.offset * 100);
+            offset.title = 'Position (%)';
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = st.color;
+            color.title = 'Stop color';
+            const alpha = document.createElement('input');
+            alpha.type = 'number';
+            alpha.min = 0;
+            alpha.max = 100;
+            alpha.value = Math.round((st.alpha === undefined ? 1 : st.alpha) * 100);
+            alpha.title = 'Opacity (%)';
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'ghost';
+            remove.textContent = '×';
+            remove.title = 'Remove stop';
+            // a gradient needs at least two stops
+            remove.disabled = fillStopsState.length <= 2;
+            const read = () => {
+                st.offset = clamp((parseFloat(offset.value) || 0) / 100, 0, 1);
+                st.color = color.value;
+                st.alpha = clamp((parseFloat(alpha.value) || 0) / 100, 0, 1);
+            };
+            for (const el of [offset, color, alpha]) {
+                el.addEventListener('input', () => { read(); commitFillStops(false); });
+                el.addEventListener('change', () => { read(); commitFillStops(true); });
+            }
+            remove.addEventListener('click', () => {
+                fillStopsState.splice(i, 1);
+                commitFillStops(true);
+                renderFillEditor();
+            });
+            row.append(offset, color, alpha, remove);
+            fillStopsEl.appendChild(row);
+        });
+    }
+
+    if (fillTypeSelect) fillTypeSelect.addEventListener('change', renderFillEditor);
+
+    if (addFillStopBtn) addFillStopBtn.addEventListener('click', () => {
+        // insert midway between the last two stops, reusing the last color
+        const sorted = fillStopsState.slice().sort((a, b) => a.offset - b.offset);
+        const last = sorted[sorted.length - 1];
+        const prev = sorted[sorted.length - 2] || { offset: 0 };
+        fillStopsState.push({ offset: (last.offset + prev.offset) / 2, color: last.color, alpha: last.alpha });
+        commitFillStops(true);
+        renderFillEditor();
+    });
+
+    // Pattern images are read as data URLs so they travel inside the project file.
+    if (fillPatternBtn && fillPatternFile) {
+        fillPatternBtn.addEventListener('click', () => fillPatternFile.click());
+        fillPatternFile.addEventListener('change', () => {
+            const file = fillPatternFile.files[0];
+            fillPatternFile.value = '';
+            if (!file) return;
+            // project files only accept image data URLs as patterns
+            if (!file.type.startsWith('image/')) {
+                window.alert(`"${file.name}" is not an image file.`);
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                fillPatternState = String(reader.result);
+                editSelected('fillPattern', fillPatternState);
+                endEditSession();
+                renderFillEditor();
+            };
+            reader.onerror = () => window.alert(`Could not read "${file.name}" as an image.`);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    renderFillEditor();
+
+    // Reset the selected item's rotation, scale and skew in one undo step.
+    if (resetTransformBtn) resetTransformBtn.addEventListener('click', () => {
+        if (selectedIndex < 0) {
+            for (const c of STYLE_CONTROLS) {
+                if (c.el && ['rotation', 'scaleX', 'scaleY', 'skewX', 'skewY'].includes(c.prop)) writeStyleControl(c, STYLE_DEFAULTS[c.prop]);
+            }
+            return;
+        }
+        const label = selection.length > 1 ? `${selection.length} items` : itemRef(items[selectedIndex]);
+        changeItems(`Reset transform of ${label}`, selection, () => {
+            for (const i of selection) Object.assign(items[i], { rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0 });
+        });
+        syncControlsFromItem(items[selectedIndex]);
+        scheduleDraw();
+    });
+
+    // Put the selected items' bezier control points back to the default arch.
+    if (resetPathBtn) resetPathBtn.addEventListener('click', () => {
+        const targets = selection.filter(i => items[i].pathPoints !== undefined);
+        if (!targets.length) return;
+        const label = targets.length > 1 ? `${targets.length} items` : itemRef(items[targets[0]]);
+        changeItems(`Reset curve of ${label}`, targets, () => {
+            for (const i of targets) delete items[i].pathPoints;
+        });
+        scheduleDraw();
+    });
+
+    // deleteSelected(): remove the selected items as one undoable step.
+    function deleteSelected() {
+        if (selectedIndex < 0) return;
+        if (selection.length > 1) {
+            removeItems(`Delete ${selection.length} items`, selection);
+        } else {
+            const index = selectedIndex;
+            const [it] = items.splice(index, 1);
+            pushCommand({ type: 'remove', label: `Delete ${itemRef(it)}`, index, item: it });
+        }
+        setSelection(-1);
+        scheduleDraw();
+    }
+    if (deleteBtn) deleteBtn.addEventListener('click', deleteSelected);
+
+    // True when keyboard input is aimed at a form field rather than the canvas.
+    function isTypingTarget(el) {
+        if (!el) return false;
+        const tag = el.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+    }
+
+    // Canvas shortcuts; the full list is in the "?" overlay. None of them
+    // fire while typing in a form field, and keys a focused layer row
+    // already handled (its own arrow keys) are left alone.
+    document.addEventListener('keydown', (e) => {
+        if (isTypingTarget(e.target) || e.defaultPrevented) return;
+        const mod = e.ctrlKey || e.metaKey;
+        if ((e.key === 'Delete' || e.key === 'Backspace') && selectedIndex >= 0) {
+            e.preventDefault();
+            deleteSelected();
+        } else if (e.key === 'Escape') {
+            if (shortcutsEl && !shortcutsEl.hidden) closeShortcuts();
+            else setSelection(-1);
+        } else if (e.key === '?' && !mod) {
+            e.preventDefault();
+            openShortcuts();
+        } else if (NUDGE_KEYS[e.key] && !mod && selectedIndex >= 0) {
+            e.preventDefault();
+            const [dx, dy] = NUDGE_KEYS[e.key];
+            const step = e.shiftKey ? NUDGE_STEP_LARGE : 1;
+            nudgeSelection(dx * step, dy * step);
+        } else if (e.key === 'Tab' && !mod && e.target === canvas) {
+            cycleSelection(e);
+        } else if (mod && e.key.toLowerCase() === 'd') {
+            e.preventDefault();
+            if (selectedIndex >= 0) duplicateSelection();
+        } else if (mod && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            const all = items.map((it, i) => (it.hidden || it.locked ? -1 : i)).filter(i => i >= 0);
+            setSelection(all.length ? all[0] : -1, all);
+        } else if (mod && e.key.toLowerCase() === 'g') {
+            e.preventDefault();
+            if (e.shiftKey) ungroupSelection();
+            else groupSelection();
+        }
+    });
+
+    // ---------------------------------------------------------------------
+    // Span editor
+    // ---------------------------------------------------------------------
+
+    // Shows the selected text item with its styled runs, scaled down to a
+    // readable size. Typing is blocked here (the words change in the Text
+    // box); select characters, set the controls below and "Style selection"
+    // gives them exactly those overrides. Each styling is one undo step.
+    const SPAN_EDITOR_SIZE = 16;  // CSS pixels the item's own size is shown at
+    let spanEditorKey = '';       // signature of the last rendered editor
+    let spanEditorIndex = -1;     // item shown in the editor
+    let spanRange = null;         // { start, end } characters selected in the editor
+
+    // spanItem() -> the selected text item when exactly one is selected, else null
+    function spanItem() {
+        const it = selection.length === 1 ? items[selectedIndex] : null;
+        return it && it.type !== 'image' && it.type !== 'shape' ? it : null;
+    }
+
+    /**
+     * renderSpanEditor(force)
+     * Rebuild the editor when the selected item's text, runs or base style
+     * changed. Called after every redraw, so it compares a signature first;
+     * a character selection made in the editor survives the rebuild.
+     */
+    function renderSpanEditor(force = false) {
+        if (!spanEditorEl) return;
+        const it = spanItem();
+        const key = JSON.stringify(it ? [selectedIndex, it.text, it.runs, it.family, it.size, it.fontWeight, it.italic, it.color] : null);
+        if (!force && key === spanEditorKey) return;
+        spanEditorKey = key;
+        if (!it || selectedIndex !== spanEditorIndex) spanRange = null;
+        spanEditorIndex = it ? selectedIndex : -1;
+        const hadFocus = document.activeElement === spanEditorEl;
+        spanEditorEl.innerHTML = '';
+        spanEditorEl.contentEditable = String(!!it);
+        if (it) {
+            const text = String(it.text);
+            const scale = SPAN_EDITOR_SIZE / it.size;
+            for (const seg of runSegments(text, hasRuns(it) ? it.runs : [])) {
+                const style = Object.assign({}, it, seg.style);
+                const span = document.createElement('span');
+                span.textContent = text.slice(seg.start, seg.end);
+                span.style.fontFamily = fontFamilyToCSS(style.family);
+                span.style.fontWeight = style.fontWeight || 400;
+                span.style.fontStyle = style.italic ? 'italic' : 'normal';
+                span.style.color = style.color || '#ffffff';
+                if (seg.style.size) span.style.fontSize = `${clamp(seg.style.size * scale, 6, 64)}px`;
+                if (seg.style.baselineShift) span.style.verticalAlign = `${seg.style.baselineShift * scale}px`;
+                if (Object.keys(seg.style).length) span.className = 'styled';
+                spanEditorEl.appendChild(span);
+            }
+            if (spanRange && spanRange.end > text.length) spanRange = null;
+            if (spanRange && hadFocus) selectSpanRange(spanRange);
+        }
+        if (spanFontSelect && fontSelect && spanFontSelect.options.length !== fontSelect.options.length + 1) {
+            const current = spanFontSelect.value;
+            spanFontSelect.length = 1;
+            for (const opt of fontSelect.options) spanFontSelect.add(new Option(opt.text, opt.text));
+            spanFontSelect.value = current;
+        }
+        updateSpanButtons();
+    }
+
+    // spanOffset(node, offset) -> character offset of a DOM position in the editor
+    function spanOffset(node, offset) {
+        const range = document.createRange();
+        range.selectNodeContents(spanEditorEl);
+        range.setEnd(node, offset);
+        return range.toString().length;
+    }
+
+    // selectSpanRange({ start, end }): select those characters in the editor again
+    function selectSpanRange({ start, end }) {
+        const walker = document.createTreeWalker(spanEditorEl, NodeFilter.SHOW_TEXT);
+        const range = document.createRange();
+        let pos = 0;
+        let node;
+        let started = false;
+        while ((node = walker.nextNode())) {
+            const len = node.data.length;
+            if (!started && start <= pos + len) {
+                range.setStart(node, start - pos);
+                started = true;
+            }
+            if (started && end <= pos + len) {
+                range.setEnd(node, end - pos);
+                const sel = window.getSelection();
+                sel.removeAllRanges();
+                sel.addRange(range);
+                return;
+            }
+            pos += len;
+        }
+    }
+
+    function updateSpanButtons() {
+        const ok = !!spanItem() && !!spanRange && spanRange.end > spanRange.start;
+        if (spanApplyBtn) spanApplyBtn.disabled = !ok;
+        if (spanClearBtn) spanClearBtn.disabled = !ok;
+    }
+
+    // Load the controls from the run under the start of the selected characters.
+    function loadSpanControls() {
+        const it = spanItem();
+        if (!it || !spanRange) return;
+        const run = (it.runs || []).find(r => r.start <= spanRange.start && spanRange.start < r.end) || {};
+        if (spanFontSelect) spanFontSelect.value = run.family || '';
+        if (spanWeightSelect) spanWeightSelect.value = run.fontWeight ? String(run.fontWeight) : '';
+        if (spanSizeInput) spanSizeInput.value = run.size || '';
+        if (spanColorToggle) spanColorToggle.checked = !!run.color;
+        if (spanColorInput && run.color) spanColorInput.value = run.color;
+        if (spanShiftInput) spanShiftInput.value = run.baselineShift || 0;
+    }
+
+    // spanStyleFromControls() -> the run overrides the controls describe
+    function spanStyleFromControls() {
+        const style = {};
+        if (spanFontSelect && spanFontSelect.value) style.family = spanFontSelect.value;
+        if (spanWeightSelect && spanWeightSelect.value) style.fontWeight = Number(spanWeightSelect.value);
+        const size = spanSizeInput ? parseFloat(spanSizeInput.value) : NaN;
+        if (size > 0) style.size = clamp(size, 1, 4000);
+        if (spanColorToggle && spanColorToggle.checked && spanColorInput) style.color = spanColorInput.value;
+        const shift = spanShiftInput ? parseFloat(spanShiftInput.value) : 0;
+        if (Number.isFinite(shift) && shift !== 0) style.baselineShift = shift;
+        return style;
+    }
+
+    // styleSpan(clear): give the selected characters the controls' overrides
+    // (or none) as one undo step, loading any new font first.
+    function styleSpan(clear) {
+        const it = spanItem();
+        if (!it || !spanRange || spanRange.end <= spanRange.start) return;
+        const { start, end } = spanRange;
+        const style = clear ? {} : spanStyleFromControls();
+        endEditSession();
+        changeItems(`${clear ? 'Clear span styles' : 'Style span'} of ${itemRef(it)}`, [selectedIndex], () => {
+            setRuns(it, styleRange(String(it.text), it.runs || [], start, end, style));
+        });
+        if (style.family || style.fontWeight) loadFontsInUse([it]).then(() => scheduleDraw());
+        scheduleDraw();
+    }
+
+    if (spanEditorEl) {
+        // the editor only selects; its text is changed through the Text box
+        spanEditorEl.addEventListener('beforeinput', e => e.preventDefault());
+        for (const type of ['paste', 'drop', 'cut']) spanEditorEl.addEventListener(type, e => e.preventDefault());
+        spanEditorEl.addEventListener('input', () => renderSpanEditor(true));
+        document.addEventListener('selectionchange', () => {
+            const sel = window.getSelection();
+            if (!sel || !sel.rangeCount || !spanItem()) return;
+            const r = sel.getRangeAt(0);
+            if (!spanEditorEl.contains(r.startContainer) || !spanEditorEl.contains(r.endContainer)) return;
+            spanRange = { start: spanOffset(r.startContainer, r.startOffset), end: spanOffset(r.endContainer, r.endOffset) };
+            loadSpanControls();
+            updateSpanButtons();
+        });
+    }
+    if (spanApplyBtn) spanApplyBtn.addEventListener('click', () => styleSpan(false));
+    if (spanClearBtn) spanClearBtn.addEventListener('click', () => styleSpan(true));
+
+    // ---------------------------------------------------------------------
+    // Image layers
+    // ---------------------------------------------------------------------
+
+    // Image items keep the picture as a data URL, so save, autosave and undo
+    // carry it like any other property. `width`/`height` are its natural
+    // pixel size and the on-canvas size comes from scaleX/scaleY, so export
+    // always draws from the full-resolution original.
+    const IMAGE_PROPS = ['align', 'opacity', 'rotation', 'scaleX', 'scaleY', 'skewX', 'skewY'].concat(ANIM_CONTROLS.map(c => c.prop));
+    const IMAGE_CASCADE = 48; // offset between several images added at once
+
+    // readImageFile(file) -> Promise<{src, width, height}>
+    function readImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const fail = () => reject(new Error(`Could not read "${file.name}" as an image.`));
+            const reader = new FileReader();
+            reader.onload = () => {
+                const src = String(reader.result);
+                const img = new Image();
+                img.onload = () => resolve({ src, width: img.naturalWidth, height: img.naturalHeight });
+                img.onerror = fail;
+                img.src = src;
+            };
+            reader.onerror = fail;
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * addImageFiles(files, pos)
+     * Add every image among `files` as a new layer centered on `pos`
+     * (default: the canvas center), each as its own undo step. Images larger
+     * than the canvas are scaled down to fit; other file types are ignored.
+     */
+    async function addImageFiles(files, pos = { x: canvas.width / 2, y: canvas.height / 2 }) {
+        const images = Array.from(files).filter(f => f.type.startsWith('image/'));
+        for (let i = 0; i < images.length; i++) {
+            let data;
+            try {
+                data = await readImageFile(images[i]);
+            } catch (err) {
+                window.alert(err.message);
+                continue;
+            }
+            const fit = Math.min(1, canvas.width / data.width, canvas.height / data.height);
+            const item = Object.assign(imageDefaults(), data, {
+                x: pos.x + i * IMAGE_CASCADE,
+                y: pos.y + i * IMAGE_CASCADE,
+                scaleX: fit,
+                scaleY: fit
+            });
+            const name = (images[i].name || '').replace(/\.[^.]+$/, '');
+            if (name) item.name = name;
+            insertItem(`Add image ${itemRef(item)}`, items.length, item, { select: true });
+        }
+    }
+
+    if (addImageBtn && imageFileInput) {
+        addImageBtn.addEventListener('click', () => imageFileInput.click());
+        imageFileInput.addEventListener('change', () => {
+            const files = Array.from(imageFileInput.files);
+            // reset so picking the same file again still fires `change`
+            imageFileInput.value = '';
+            addImageFiles(files);
+        });
+    }
+
+    // Pasting an image (e.g. a copied logo or screenshot) adds it as a layer;
+    // pastes into form fields are left alone.
+    document.addEventListener('paste', (e) => {
+        if (isTypingTarget(e.target) || !e.clipboardData) return;
+        const files = Array.from(e.clipboardData.files || []).filter(f => f.type.startsWith('image/'));
+        if (!files.length) return;
+        e.preventDefault();
+        addImageFiles(files);
+    });
+
+    // ---------------------------------------------------------------------
+    // Shape layers
+    // ---------------------------------------------------------------------
+
+    // Shapes (bars, boxes, ellipses, lines, arrows) are built from the shape
+    // controls plus the main color, the outline controls and opacity, and
+    // take part in selection, layers, undo and export like any other item.
+    const SHAPE_PROPS = ['align', 'color', 'stroke', 'strokeColor', 'strokeWidth', 'strokeJoin', 'opacity',
+        'rotation', 'scaleX', 'scaleY', 'skewX', 'skewY'].concat(SHAPE_CONTROLS.map(c => c.prop), ANIM_CONTROLS.map(c => c.prop));
+    const SHAPE_LABELS = { rect: 'Rectangle', roundrect: 'Rounded rectangle', ellipse: 'Ellipse', line: 'Line', arrow: 'Arrow' };
+
+    // shapeFromControls(x, y) -> a new shape item styled by the sidebar
+    function shapeFromControls(x, y) {
+        const shape = shapeDefaults();
+        for (const c of SHAPE_CONTROLS) {
+            if (c.el) shape[c.prop] = readStyleControl(c);
+        }
+        for (const prop of SHAPE_PROPS) {
+            const c = STYLE_CONTROLS.find(c => c.prop === prop);
+            if (c && c.el) shape[prop] = readStyleControl(c);
+        }
+        if (colorInput) shape.color = colorInput.value;
+        if (alignSelect) shape.align = alignSelect.value;
+        return Object.assign(shape, { x, y });
+    }
+
+    if (addShapeBtn) addShapeBtn.addEventListener('click', () => {
+        const shape = shapeFromControls(canvas.width / 2, canvas.height / 2);
+        insertItem(`Add ${SHAPE_LABELS[shape.shape].toLowerCase()}`, items.length, shape, { select: true });
+    });
+
+    for (const c of SHAPE_CONTROLS) {
+        if (!c.el) continue;
+        c.el.addEventListener('input', () => editSelected(c.prop, readStyleControl(c)));
+        c.el.addEventListener('change', () => {
+            editSelected(c.prop, readStyleControl(c));
+            endEditSession();
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Layers panel
+    // ---------------------------------------------------------------------
+
+    // Draw order is the order of `items`; the panel lists it topmost first.
+    // Hidden items are neither drawn nor exported; hidden and locked items
+    // are skipped by findItemAt() so they cannot be picked on the canvas.
+    let layersKey = '';          // signature of the last rendered list
+    let layerDragFrom = -1;      // item index being dragged in the list
+    let renamingIndex = -1;      // item index with an open name field
+    const DUPLICATE_OFFSET = 24; // canvas pixels a duplicate is nudged right and down
+
+    // layerLabel(it) -> name shown in the panel (custom name, first line of text, "Image" or the shape kind)
+    function layerLabel(it) {
+        if (it.type === 'image') return it.name || 'Image';
+        if (it.type === 'shape') return it.name || SHAPE_LABELS[it.shape] || 'Shape';
+        return it.name || String(it.text).split('\n')[0].trim() || '(empty)';
+    }
+
+    /**
+     * renderLayers(force)
+     * Rebuild the list when items, names, flags or the selection changed.
+     * Called after every redraw, so it compares a signature first; keyboard
+     * focus stays on the same item across rebuilds.
+     */
+    function renderLayers(force = false) {
+        if (!layersListEl) return;
+        const key = JSON.stringify([selection, renamingIndex, items.map(it => [layerLabel(it), !!it.hidden, !!it.locked, it.group || ''])]);
+        if (!force && key === layersKey) return;
+        layersKey = key;
+        const focused = layersListEl.contains(document.activeElement) ? document.activeElement.closest('.layer') : null;
+        const focusIndex = focused ? Number(focused.dataset.index) : -1;
+        layersListEl.innerHTML = '';
+        for (let i = items.length - 1; i >= 0; i--) {
+            const it = items[i];
+            const row = document.createElement('li');
+            row.className = 'layer' + (it.hidden ? ' is-hidden' : '') + (it.group ? ' in-group' : '');
+            row.dataset.index = i;
+            row.tabIndex = 0;
+            row.draggable = renamingIndex !== i;
+            row.setAttribute('role', 'option');
+            row.setAttribute('aria-selected', String(selection.includes(i)));
+            if (renamingIndex === i) {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = it.name || '';
+                input.placeholder = layerLabel(Object.assign({}, it, { name: '' }));
+                input.setAttribute('aria-label', 'Layer name');
+                input.addEventListener('keydown', (e) => {
+                    e.stopPropagation();
+                    if (e.key === 'Enter') finishRename(i, input.value);
+                    else if (e.key === 'Escape') finishRename(i, null);
+                });
+                input.addEventListener('blur', () => finishRename(i, input.value));
+                row.appendChild(input);
+                setTimeout(() => { input.focus(); input.select(); }, 0);
+            } else {
+                const name = document.createElement('span');
+                name.className = 'layer-name';
+                name.textContent = layerLabel(it);
+                name.title = it.type === 'image' || it.type === 'shape' ? `${Math.round(it.width)}×${Math.round(it.height)} ${it.type}` : it.text;
+                row.appendChild(name);
+            }
+            row.append(
+                layerToggle(i, 'hidden', it.hidden ? 'Show' : 'Hide', it.hidden ? 'Hidden' : 'Visible'),
+                layerToggle(i, 'locked', it.locked ? 'Unlock' : 'Lock', it.locked ? 'Locked' : 'Lock')
+            );
+            layersListEl.appendChild(row);
+        }
+        if (focusIndex >= 0 && renamingIndex < 0) {
+            const row = layersListEl.querySelector(`.layer[data-index="${focusIndex}"]`);
+            if (row) row.focus();
+        }
+        const hasSel = selectedIndex >= 0;
+        if (layerForwardBtn) layerForwardBtn.disabled = !hasSel || selectedIndex >= items.length - 1;
+        if (layerBackwardBtn) layerBackwardBtn.disabled = !hasSel || selectedIndex <= 0;
+        if (layerRenameBtn) layerRenameBtn.disabled = !hasSel;
+        if (layerDuplicateBtn) layerDuplicateBtn.disabled = !hasSel;
+    }
+
+    // Hide/lock toggle button for a row; `title` describes the action.
+    function layerToggle(index, prop, title, text) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.tabIndex = -1;
+        btn.textContent = text;
+        btn.title = title;
+        btn.setAttribute('aria-pressed', String(!!items[index][prop]));
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleLayerFlag(index, prop);
+        });
+        return btn;
+    }
+
+    // Flip `hidden` or `locked` on an item as one undo step.
+    function toggleLayerFlag(index, prop) {
+        const it = items[index];
+        if (!it) return;
+        const verb = prop === 'hidden' ? (it.hidden ? 'Show' : 'Hide') : (it.locked ? 'Unlock' : 'Lock');
+        changeItems(`${verb} ${itemRef(it)}`, [index], () => { it[prop] = !it[prop]; });
+        scheduleDraw();
+    }
+
+    /**
+     * moveItem(from, to)
+     * Move an item to a new position in the draw order (one undo step). The
+     * selection follows the moved item.
+     */
+    function moveItem(from, to) {
+        to = clamp(to, 0, items.length - 1);
+        if (from === to || !items[from]) return;
+        const selected = items[selectedIndex];
+        const [it] = items.splice(from, 1);
+        items.splice(to, 0, it);
+        pushCommand({ type: 'reorder', label: `${to > from ? 'Bring forward' : 'Send backward'} ${itemRef(it)}`, from, to });
+        setSelection(selected ? items.indexOf(selected) : -1);
+        scheduleDraw();
+    }
+
+    // duplicateItem(index): copy an item just above the original, nudged so
+    // the copy is visible, and select it. A lone copy leaves its group.
+    function duplicateItem(index) {
+        const src = items[index];
+        if (!src) return;
+        const copy = duplicateCopy(src);
+        delete copy.group;
+        insertItem(`Duplicate ${itemRef(src)}`, index + 1, copy, { select: true });
+    }
+
+    // duplicateCopy(src) -> nudged deep copy of an item, renamed "… copy" if it had a name
+    function duplicateCopy(src) {
+        const copy = JSON.parse(JSON.stringify(src));
+        copy.x += DUPLICATE_OFFSET;
+        copy.y += DUPLICATE_OFFSET;
+        if (copy.name) copy.name += ' copy';
+        return copy;
+    }
+
+    // duplicateSelection(): duplicate every selected item as one step. The
+    // copies go above the topmost original and keep their grouping under
+    // fresh group ids, so a duplicated group is a new group.
+    function duplicateSelection() {
+        if (selection.length < 2) {
+            duplicateItem(selectedIndex);
+            return;
+        }
+        const sources = selection.slice();
+        const ids = {};
+        const copies = sources.map(i => {
+            const copy = duplicateCopy(items[i]);
+            if (copy.group) copy.group = ids[copy.group] || (ids[copy.group] = newGroupId());
+            return copy;
+        });
+        const at = sources[sources.length - 1] + 1;
+        insertItems(`Duplicate ${sources.length} items`, at, copies);
+        setSelection(at, copies.map((c, k) => at + k));
+        scheduleDraw();
+    }
+
+    function startRename(index) {
+        if (!items[index]) return;
+        renamingIndex = index;
+        renderLayers(true);
+    }
+
+    // Commit (or cancel with `null`) the open name field. An empty name
+    // falls back to the item's text.
+    function finishRename(index, value) {
+        if (renamingIndex !== index) return;
+        renamingIndex = -1;
+        const it = items[index];
+        const name = value === null ? undefined : value.trim();
+        if (it && name !== undefined && name !== (it.name || '')) {
+            const old = itemRef(it);
+            changeItems(`Rename ${old}`, [index], () => { it.name = name; });
+        }
+        renderLayers(true);
+        const row = layersListEl.querySelector(`.layer[data-index="${index}"]`);
+        if (row) row.focus();
+    }
+
+    // Focus the row of an item (used when the keyboard moves through the list).
+    function focusLayer(index) {
+        renderLayers();
+        const row = layersListEl.querySelector(`.layer[data-index="${index}"]`);
+        if (row) row.focus();
+    }
+
+    if (layersListEl) {
+        // Shift/Ctrl/Cmd-click adds or removes a row from the selection
+        layersListEl.addEventListener('click', (e) => {
+            const row = e.target.closest('.layer');
+            if (!row || e.target.closest('input')) return;
+            const i = Number(row.dataset.index);
+            if (!(e.shiftKey || e.ctrlKey || e.metaKey) || selectedIndex < 0) setSelection(i);
+            else if (!selection.includes(i)) setSelection(selectedIndex, selection.concat(i));
+            else if (selection.length > 1) {
+                const rest = selection.filter(j => j !== i);
+                setSelection(rest.includes(selectedIndex) ? selectedIndex : rest[0], rest);
+            }
+        });
+        layersListEl.addEventListener('dblclick', (e) => {
+            const row = e.target.closest('.layer');
+            if (row && !e.target.closest('button')) startRename(Number(row.dataset.index));
+        });
+        layersListEl.addEventListener('keydown', (e) => {
+            const row = e.target.closest('.layer');
+            if (!row || e.target !== row) return;
+            const i = Number(row.dataset.index);
+            // the list is shown topmost first, so "up" means a higher index
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                const next = i + (e.key === 'ArrowUp' ? 1 : -1);
+                if (e.altKey) {
+                    moveItem(i, next);
+                    focusLayer(clamp(next, 0, items.length - 1));
+                } else if (items[next]) {
+                    setSelection(next);
+                    focusLayer(next);
+                }
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                setSelection(i);
+            } else if (e.key === 'F2') {
+                e.preventDefault();
+                startRename(i);
+            } else if (e.key === 'h' || e.key === 'H') {
+                toggleLayerFlag(i, 'hidden');
+            } else if (e.key === 'l' || e.key === 'L') {
+                toggleLayerFlag(i, 'locked');
+            }
+        });
+
+        // Drag-to-reorder: the drop lands before or after the row under the
+        // pointer depending on which half of it is hovered.
+        const clearDropMarks = () => layersListEl.querySelectorAll('.drop-before, .drop-after')
+            .forEach(el => el.classList.remove('drop-before', 'drop-after'));
+        layersListEl.addEventListener('dragstart', (e) => {
+            const row = e.target.closest('.layer');
+            if (!row) return;
+            layerDragFrom = Number(row.dataset.index);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(layerDragFrom));
+        });
+        layersListEl.addEventListener('dragover', (e) => {
+            const row = e.target.closest('.layer');
+            if (layerDragFrom < 0 || !row) return;
+            e.preventDefault();
+            clearDropMarks();
+            const r = row.getBoundingClientRect();
+            row.classList.add(e.clientY < r.top + r.height / 2 ? 'drop-before' : 'drop-after');
+        });
+        layersListEl.addEventListener('dragleave', (e) => {
+            if (!layersListEl.contains(e.relatedTarget)) clearDropMarks();
+        });
+        layersListEl.addEventListener('drop', (e) => {
+            const row = e.target.closest('.layer');
+            if (layerDragFrom < 0 || !row) return;
+            e.preventDefault();
+            const r = row.getBoundingClientRect();
+            const above = e.clientY < r.top + r.height / 2;
+            const target = Number(row.dataset.index);
+            // "above" in the list is later in the draw order
+            let to = above ? target + 1 : target;
+            if (layerDragFrom < to) to -= 1;
+            clearDropMarks();
+            moveItem(layerDragFrom, to);
+            layerDragFrom = -1;
+        });
+        layersListEl.addEventListener('dragend', () => {
+            layerDragFrom = -1;
+            clearDropMarks();
+        });
+    }
+
+    if (layerForwardBtn) layerForwardBtn.addEventListener('click', () => moveItem(selectedIndex, selectedIndex + 1));
+    if (layerBackwardBtn) layerBackwardBtn.addEventListener('click', () => moveItem(selectedIndex, selectedIndex - 1));
+    if (layerRenameBtn) layerRenameBtn.addEventListener('click', () => startRename(selectedIndex));
+    if (layerDuplicateBtn) layerDuplicateBtn.addEventListener('click', duplicateSelection);
+
+    // ---------------------------------------------------------------------
+    // Keyboard editing and clipboard
+    // ---------------------------------------------------------------------
+
+    // Arrow keys nudge the selection by a canvas pixel (Shift: ten); Tab
+    // walks through the items; copy and paste go through the system
+    // clipboard as a small project JSON, so items can be pasted into
+    // another tab or window.
+    const NUDGE_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const NUDGE_STEP_LARGE = 10;
+
+    // nudgeSelection(dx, dy): move the unlocked selected items; repeated
+    // nudges of the same selection merge into one undo step.
+    function nudgeSelection(dx, dy) {
+        const targets = selection.filter(i => !items[i].locked);
+        if (!targets.length) return;
+        changeItems(`Nudge ${selectionRef(targets)}`, targets, () => {
+            for (const i of targets) {
+                items[i].x += dx;
+                items[i].y += dy;
+            }
+        }, { mergeKey: `nudge:${targets.join(',')}` });
+        scheduleDraw();
+    }
+
+    /**
+     * cycleSelection(e)
+     * While the canvas has focus, Tab selects the next visible item in draw
+     * order (Shift+Tab the previous). Past the last item the selection
+     * clears and the key moves focus on as usual, so keyboard users are
+     * never trapped on the canvas.
+     */
+    function cycleSelection(e) {
+        const order = items.map((it, i) => (it.hidden ? -1 : i)).filter(i => i >= 0);
+        const at = order.indexOf(selectedIndex);
+        const next = e.shiftKey ? (at < 0 ? order.length - 1 : at - 1) : at + 1;
+        if (next < 0 || next >= order.length) {
+            setSelection(-1);
+            return;
+        }
+        e.preventDefault();
+        setSelection(order[next]);
+    }
+
+    // Copy puts the selected items on the clipboard as a project holding
+    // just those items (plus plain JSON text for other apps).
+    document.addEventListener('copy', (e) => {
+        if (isTypingTarget(e.target) || selectedIndex < 0 || !e.clipboardData) return;
+        const list = selection.map(i => items[i]);
+        const clip = {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            canvas: { width: canvas.width, height: canvas.height },
+            fonts: Array.from(new Set(list.map(it => it.family).filter(Boolean))),
+            items: list
+        };
+        e.clipboardData.setData('text/plain', JSON.stringify(clip));
+        e.preventDefault();
+    });
+
+    // Pasting copied items adds them above everything else, selected. When
+    // they would land exactly on existing items (pasting into the same
+    // composition) they are nudged like a duplicate. Other text is ignored.
+    document.addEventListener('paste', (e) => {
+        if (isTypingTarget(e.target) || !e.clipboardData) return;
+        if (Array.from(e.clipboardData.files || []).some(f => f.type.startsWith('image/'))) return;
+        const text = e.clipboardData.getData('text/plain');
+        if (!text || text.trim()[0] !== '{') return;
+        let clip;
+        try {
+            clip = parseProjectText(text);
+        } catch (err) {
+            return;
+        }
+        e.preventDefault();
+        pasteItems(clip);
+    });
+
+    // pasteItems(clip): insert the items of a validated clipboard project as one step
+    function pasteItems(clip) {
+        const copies = clip.items.map(normalizeItem);
+        if (!copies.length) return;
+        let shift = 0;
+        while (copies.some(c => items.some(it => it.x === c.x + shift && it.y === c.y + shift))) shift += DUPLICATE_OFFSET;
+        const ids = {};
+        for (const c of copies) {
+            c.x += shift;
+            c.y += shift;
+            if (c.group) c.group = ids[c.group] || (ids[c.group] = newGroupId());
+        }
+        ensureProjectFonts(clip.fonts || []);
+        const at = items.length;
+        if (copies.length === 1) {
+            insertItem(`Paste ${itemRef(copies[0])}`, at, copies[0], { select: true });
+        } else {
+            insertItems(`Paste ${copies.length} items`, at, copies);
+            setSelection(at, copies.map((c, k) => at + k));
+        }
+        loadFontsInUse(copies).then(() => scheduleDraw());
+        scheduleDraw();
+    }
+
+    // The "?" overlay lists every shortcut; Esc, its Close button or a
+    // click outside the card dismisses it.
+    function openShortcuts() {
+        if (!shortcutsEl) return;
+        shortcutsEl.hidden = false;
+        if (shortcutsCloseBtn) shortcutsCloseBtn.focus();
+    }
+    function closeShortcuts() {
+        if (!shortcutsEl) return;
+        shortcutsEl.hidden = true;
+        if (showShortcutsBtn) showShortcutsBtn.focus();
+    }
+    if (showShortcutsBtn) showShortcutsBtn.addEventListener('click', openShortcuts);
+    if (shortcutsCloseBtn) shortcutsCloseBtn.addEventListener('click', closeShortcuts);
+    if (shortcutsEl) shortcutsEl.addEventListener('click', (e) => {
+        if (e.target === shortcutsEl) closeShortcuts();
+    });
+
+    // ---------------------------------------------------------------------
+    // Groups, alignment and distribution
+    // ---------------------------------------------------------------------
+
+    // Grouped items share a `group` id, which is saved with the project.
+    // Picking any member on the canvas selects the whole group, so it moves,
+    // duplicates and deletes as one; align and distribute treat it as a
+    // single unit. Each command below is one undo step.
+    const ALIGN_EDGE_LABELS = {
+        left: 'left edges', hcenter: 'horizontal centers', right: 'right edges',
+        top: 'top edges', vcenter: 'vertical centers', bottom: 'bottom edges'
+    };
+    let groupCount = 0;
+
+    // newGroupId() -> id not used by any other group, even across sessions
+    function newGroupId() {
+        return `group-${Date.now().toString(36)}-${++groupCount}`;
+    }
+
+    // selectionRef(indices) -> history label fragment for one or several items
+    function selectionRef(indices) {
+        return indices.length > 1 ? `${indices.length} items` : itemRef(items[indices[0]]);
+    }
+
+    function groupSelection() {
+        if (selection.length < 2) return;
+        const targets = selection.slice();
+        const id = newGroupId();
+        changeItems(`Group ${targets.length} items`, targets, () => {
+            for (const i of targets) items[i].group = id;
+        });
+        updateArrangeUI();
+        scheduleDraw();
+    }
+
+    function ungroupSelection() {
+        const targets = selection.filter(i => items[i].group);
+        if (!targets.length) return;
+        changeItems(`Ungroup ${selectionRef(targets)}`, targets, () => {
+            for (const i of targets) delete items[i].group;
+        });
+        updateArrangeUI();
+        scheduleDraw();
+    }
+
+    // selectionUnits(indices) -> [[index, ...], ...] with the members of
+    // each group gathered into one unit and every other item on its own
+    function selectionUnits(indices) {
+        const units = [];
+        const byGroup = {};
+        for (const i of indices) {
+            const g = items[i].group;
+            if (!g) units.push([i]);
+            else if (byGroup[g]) byGroup[g].push(i);
+            else units.push(byGroup[g] = [i]);
+        }
+        return units;
+    }
+
+    // moveUnit(unit, dx, dy): shift every item of a unit by the same offset
+    function moveUnit(unit, dx, dy) {
+        for (const i of unit) {
+            items[i].x += dx;
+            items[i].y += dy;
+        }
+    }
+
+    /**
+     * alignSelection(edge)
+     * Line up the selected units' `edge` (left, hcenter, right, top, vcenter,
+     * bottom) with the selection's bounds, or with the canvas when "Align to"
+     * says so or only one unit is selected. Locked items stay put but still
+     * count towards the selection's bounds.
+     */
+    function alignSelection(edge) {
+        if (!selection.length) return;
+        const targets = selection.filter(i => !items[i].locked);
+        const toCanvas = selectionUnits(selection).length < 2 || (alignToSelect && alignToSelect.value === 'canvas');
+        const ref = toCanvas ? { left: 0, top: 0, right: canvas.width, bottom: canvas.height } : unionBounds(selection.map(i => items[i]));
+        const label = `Align ${ALIGN_EDGE_LABELS[edge]} of ${selectionRef(targets)}${toCanvas ? ' to canvas' : ''}`;
+        changeItems(label, targets, () => {
+            for (const unit of selectionUnits(targets)) {
+                const b = unionBounds(unit.map(i => items[i]));
+                const dx = edge === 'left' ? ref.left - b.left
+                    : edge === 'right' ? ref.right - b.right
+                        : edge === 'hcenter' ? (ref.left + ref.right - b.left - b.right) / 2 : 0;
+                const dy = edge === 'top' ? ref.top - b.top
+                    : edge === 'bottom' ? ref.bottom - b.bottom
+                        : edge === 'vcenter' ? (ref.top + ref.bottom - b.top - b.bottom) / 2 : 0;
+                moveUnit(unit, dx, dy);
+            }
+        });
+        scheduleDraw();
+    }
+
+    /**
+     * distributeSelection(axis)
+     * Space three or more unlocked units evenly along `axis` ('x' or 'y'):
+     * the outermost two stay where they are and the gaps between
+     * neighbouring boxes become equal.
+     */
+    function distributeSelection(axis) {
+        const targets = selection.filter(i => !items[i].locked);
+        const [start, end] = axis === 'x' ? ['left', 'right'] : ['top', 'bottom'];
+        const units = selectionUnits(targets)
+            .map(unit => ({ unit, b: unionBounds(unit.map(i => items[i])) }))
+            .sort((a, b) => a.b[start] - b.b[start]);
+        if (units.length < 3) return;
+        const sizes = units.reduce((sum, u) => sum + u.b[end] - u.b[start], 0);
+        const gap = (units[units.length - 1].b[end] - units[0].b[start] - sizes) / (units.length - 1);
+        changeItems(`Distribute ${selectionRef(targets)} ${axis === 'x' ? 'horizontally' : 'vertically'}`, targets, () => {
+            let pos = units[0].b[end] + gap;
+            for (const u of units.slice(1, -1)) {
+                const d = pos - u.b[start];
+                moveUnit(u.unit, axis === 'x' ? d : 0, axis === 'y' ? d : 0);
+                pos += u.b[end] - u.b[start] + gap;
+            }
+        });
+        scheduleDraw();
+    }
+
+    // Enable the arrange buttons that apply to the current selection.
+    function updateArrangeUI() {
+        const current = selection.filter(i => items[i]);
+        const units = selectionUnits(current).length;
+        if (groupBtn) groupBtn.disabled = current.length < 2;
+        if (ungroupBtn) ungroupBtn.disabled = !current.some(i => items[i].group);
+        arrangeBtns.forEach((btn) => {
+            btn.disabled = btn.dataset.distribute ? units < 3 : units < 1;
+        });
+    }
+
+    if (groupBtn) groupBtn.addEventListener('click', groupSelection);
+    if (ungroupBtn) ungroupBtn.addEventListener('click', ungroupSelection);
+    arrangeBtns.forEach((btn) => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.align) alignSelection(btn.dataset.align);
+            else distributeSelection(btn.dataset.distribute);
+        });
+    });
+    updateArrangeUI();
+
+    // Pointer up: if we were dragging finish it; otherwise if click-to-place is active
+    // create a new item (recorded as a step so the placement is undoable).
+    // Pointer up: finish drag or place new text if 'Place on click' is enabled.
+    canvas.addEventListener('pointerup', (evt) => {
         const pos = getMousePos(evt);
-        if (draggingIndex >= 0) {
-            // finished dragging — clear dragging state
+        if (transformDrag) {
+            // finished resizing/rotating — show the new values in the inspector
+            transformDrag = null;
+            if (selectedIndex >= 0) syncControlsFromItem(items[selectedIndex]);
+            if (dragCapture) commitItemChanges(dragCapture.label, dragCapture.captured);
+        } else if (draggingIndex >= 0) {
+            // finished dragging — a drag that did not move anything leaves no step
             draggingIndex = -1;
-        } else {
-            // Place new text if allowed
+            if (dragCapture) commitItemChanges(dragCapture.label, dragCapture.captured);
+        } else if (marquee && marquee.active) {
+            // finished a rubber-band selection; nothing to place
+        } else if (!deselectedOnDown) {
+            // Place new text if allowed (a click that only cleared the
+            // selection does not also drop a new item)
             if (placeToggle.checked) {
                 const text = textInput.value || '';
                 if (text) {
-                    // Save state before adding so this action can be undone
-                    pushState();
-                    const size = parseInt(fontSizeInput.value, 10) || 48;
-                    const family = currentFontFamily();
-                    const color = colorInput.value || '#ffffff';
-                    const align = alignSelect.value || 'center';
-                    const item = { text, x: pos.x, y: pos.y, size, family, color, align };
-                    items.push(item);
-                    scheduleDraw();
+                    const it = itemFromControls(pos.x, pos.y);
+                    applySnap(it, [], evt);
+                    insertItem(`Place ${itemRef(it)}`, items.length, it);
+                }
+            }
+        }
+        isPointerDown = false;
+        deselectedOnDown = false;
+        dragCapture = null;
+        dragStarts = [];
+        if (marquee) {
+            marquee = null;
+            scheduleDraw();
+        }
+        activeGuides = [];
+        try { canvas.releasePointerCapture(evt.pointerId); } catch (e) { }
+    });
+
+    // If the pointer leaves the canvas we clear the hover preview
+    // Clear hover preview when the pointer leaves the canvas
+    canvas.addEventListener('pointerleave', () => {
+        preview = null;
+        if (!isPointerDown) activeGuides = [];
+        scheduleDraw();
+    });
+
+    // Clear button: ask for confirmation before clearing. If the user
+    // confirms, record the clear as one step (so it can be undone),
+    // then clear the items and redraw.
+    if (clearBtn) clearBtn.addEventListener('click', () => {
+        const ok = window.confirm('Clear all text from the canvas? This action can be undone with Undo.');
+        if (!ok) return;
+        replaceAll('Clear canvas', () => { items.length = 0; });
+        setSelection(-1);
+        scheduleDraw();
+    });
+
+    // downloadBlob(blob, filename): save a blob through a temporary anchor element.
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        // revoke on the next tick; some browsers start the download asynchronously
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // exportBaseName() -> sanitized file name stem from the current text
+    function exportBaseName() {
+        return (textInput && textInput.value) ? filenameFromText(textInput.value) : 'igroovie';
+    }
+
+    // ---------------------------------------------------------------------
+    // ZIP writer
+    // ---------------------------------------------------------------------
+
+    // There is no server to bundle files, so multi-file exports are packed
+    // here. Entries are stored uncompressed (PNG/WebP data is already
+    // compressed) with UTF-8 names; no ZIP64, so keep archives under 4 GB.
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    // crc32(bytes) -> unsigned CRC-32 of a Uint8Array
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * createZip(files) -> Blob
+     * Pack `[{ name, data }]` (data: Uint8Array or string) into a ZIP archive.
+     */
+    function createZip(files) {
+        const enc = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = enc.encode(file.name);
+            const data = typeof file.data === 'string' ? enc.encode(file.data) : file.data;
+            const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // local file header signature
+            local.setUint16(4, 20, true);           // version needed
+            local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+            local.setUint16(8, 0, true);            // method: stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // compressed size
+            local.setUint32(22, data.length, true); // uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);           // extra field length
+            parts.push(local, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);   // central directory signature
+            entry.setUint16(4, 20, true);           // version made by
+            entry.setUint16(6, 20, true);           // version needed
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            // extra/comment lengths, disk number and attributes stay 0
+            entry.setUint32(42, offset, true);      // local header offset
+            central.push(entry, name);
+            offset += 30 + name.length + data.length;
+        }
+        const centralSize = central.reduce((n, part) => n + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // end of central directory signature
+        end.setUint16(8, files.length, true);       // entries on this disk
+        end.setUint16(10, files.length, true);      // total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);            // central directory offset
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    // canvasToBlob(cv, type, quality) -> Promise<Blob> (rejects if encoding fails)
+    function canvasToBlob(cv, type = 'image/png', quality) {
+        return new Promise((resolve, reject) => {
+            cv.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}.`))), type, quality);
+        });
+    }
+
+    // blobBytes(blob) -> Promise<Uint8Array>
+    function blobBytes(blob) {
+        return blob.arrayBuffer().then(buf => new Uint8Array(buf));
+    }
+
+    // ---------------------------------------------------------------------
+    // SVG export
+    // ---------------------------------------------------------------------
+
+    // xmlEscape(s) -> string safe inside SVG text and double-quoted attributes
+    function xmlEscape(s) {
+        return String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+    }
+
+    // Round to 3 decimals so coordinates stay short in the SVG source.
+    function num(n) {
+        return String(Math.round(n * 1000) / 1000);
+    }
+
+    // svgFill(it, box, id, defs) -> fill attribute value; adds gradient /
+    // pattern definitions to `defs` with the same geometry the canvas uses.
+    function svgFill(it, box, id, defs) {
+        const stops = Array.isArray(it.fillStops) ? it.fillStops : [];
+        const stopTags = () => stops.map(st =>
+            `<stop offset="${num(clamp(st.offset, 0, 1))}" stop-color="${xmlEscape(st.color)}" stop-opacity="${num(st.alpha === undefined ? 1 : st.alpha)}"/>`).join('');
+        const g = gradientGeometry(it, box);
+        if (it.fillType === 'linear' && stops.length >= 2) {
+            defs.push(`<linearGradient id="${id}-fill" gradientUnits="userSpaceOnUse" x1="${num(g.x0)}" y1="${num(g.y0)}" x2="${num(g.x1)}" y2="${num(g.y1)}">${stopTags()}</linearGradient>`);
+            return `url(#${id}-fill)`;
+        }
+        if (it.fillType === 'radial' && stops.length >= 2) {
+            defs.push(`<radialGradient id="${id}-fill" gradientUnits="userSpaceOnUse" cx="${num(g.cx)}" cy="${num(g.cy)}" r="${num(g.r)}">${stopTags()}</radialGradient>`);
+            return `url(#${id}-fill)`;
+        }
+        if (it.fillType === 'pattern') {
+            const img = imageFor(it.fillPattern);
+            if (img) {
+                const scale = (it.patternScale || 100) / 100;
+                const w = img.naturalWidth * scale;
+                const h = img.naturalHeight * scale;
+                defs.push(`<pattern id="${id}-fill" patternUnits="userSpaceOnUse" x="${num(box.left)}" y="${num(box.top)}" width="${num(w)}" height="${num(h)}">` +
+                    `<image href="${xmlEscape(it.fillPattern)}" width="${num(w)}" height="${num(h)}"/></pattern>`);
+                return `url(#${id}-fill)`;
+            }
+        }
+        return xmlEscape(it.color || '#ffffff');
+    }
+
+    // svgShadowFilter(id, dx, dy, blur, color) -> <filter> element; canvas
+    // shadowBlur corresponds roughly to a Gaussian deviation of blur / 2.
+    function svgShadowFilter(id, dx, dy, blur, color) {
+        return `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" filterUnits="objectBoundingBox">` +
+            `<feDropShadow dx="${num(dx)}" dy="${num(dy)}" stdDeviation="${num(blur / 2)}" flood-color="${xmlEscape(color)}"/></filter>`;
+    }
+
+    // svgShape(it) -> SVG elements for a shape item in its local space (see drawShapeItem())
+    function svgShape(it) {
+        const b = contentBox(it);
+        const w = b.right - b.left;
+        const h = b.bottom - b.top;
+        const cy = (b.top + b.bottom) / 2;
+        const sw = Math.max(0, it.strokeWidth || 0);
+        const strokeColor = xmlEscape(it.strokeColor || '#000');
+        if (it.shape === 'line' || it.shape === 'arrow') {
+            const head = it.shape === 'arrow' ? arrowHead(it, b) : null;
+            const line = sw > 0 ? `<line x1="${num(b.left)}" y1="${num(cy)}" x2="${num(head ? head.base : b.right)}" y2="${num(cy)}" stroke="${strokeColor}" ` +
+                `stroke-width="${num(sw)}" stroke-linecap="${it.cornerRadius > 0 ? 'round' : 'butt'}"/>` : '';
+            const tip = head ? `<polygon points="${head.points.map(p => `${num(p.x)},${num(p.y)}`).join(' ')}" fill="${strokeColor}"/>` : '';
+            return line + tip;
+        }
+        const paint = ` fill="${it.fill ? xmlEscape(it.color || '#ffffff') : 'none'}"` +
+            (it.stroke && sw > 0 ? ` stroke="${strokeColor}" stroke-width="${num(sw)}" stroke-linejoin="${it.strokeJoin || 'round'}"` : '');
+        if (it.shape === 'ellipse') return `<ellipse cx="${num(b.left + w / 2)}" cy="${num(cy)}" rx="${num(w / 2)}" ry="${num(h / 2)}"${paint}/>`;
+        const r = it.shape === 'roundrect' ? clamp(it.cornerRadius || 0, 0, Math.min(w, h) / 2) : 0;
+        return `<rect x="${num(b.left)}" y="${num(b.top)}" width="${num(w)}" height="${num(h)}"${r ? ` rx="${num(r)}"` : ''}${paint}/>`;
+    }
+
+    // svgRunSpan(it, piece) -> positioned <tspan> for one piece of a styled
+    // line or one path glyph, carrying only the attributes its run overrides
+    function svgRunSpan(it, p) {
+        const own = p.own;
+        let attrs = '';
+        if (own.family) attrs += ` font-family="${xmlEscape(fontFamilyToCSS(own.family))}"`;
+        if (own.fontWeight) attrs += ` font-weight="${own.fontWeight}"`;
+        if (own.size) {
+            attrs += ` font-size="${num(own.size)}"`;
+            // spacing is relative to the size, so a run of another size spaces differently
+            if (it.letterSpacing) attrs += ` letter-spacing="${num(it.letterSpacing * own.size)}"`;
+            if (it.wordSpacing) attrs += ` word-spacing="${num(it.wordSpacing * own.size)}"`;
+        }
+        if (own.color) attrs += ` fill="${xmlEscape(own.color)}"`;
+        // a path glyph turns about its baseline origin, like on the canvas
+        if (p.angle) attrs += ` rotate="${num(p.angle * 180 / Math.PI)}"`;
+        return `<tspan x="${num(p.x)}" y="${num(p.y)}"${attrs}>${xmlEscape(p.text)}</tspan>`;
+    }
+
+    /**
+     * buildSVG({ x, y, width, height }) -> string
+     * Serialize the composition as SVG with live `<text>` elements. Each item
+     * keeps its font family, size, fill, outline and transform; the plate
+     * becomes a `<rect>`, glow and shadow become filters. Like the canvas,
+     * glow and shadow copies are painted under the text in canvas space.
+     * Image layers become `<image>` elements and shapes their SVG
+     * counterparts (see svgShape()).
+     */
+    function buildSVG({ x = 0, y = 0, width = canvas.width, height = canvas.height } = {}) {
+        const defs = [];
+        const body = [];
+        items.forEach((it, i) => {
+            if (it.hidden) return;
+            const id = `item${i + 1}`;
+            const parts = [];
+            const opacity = itemOpacity(it);
+            // item opacity applies to the plate and effects too, as on the canvas
+            const flush = () => body.push(opacity < 1 ? `<g opacity="${num(opacity)}">${parts.join('')}</g>` : parts.join('\n'));
+            if (it.type === 'image') {
+                const b = contentBox(it);
+                parts.push(`<g transform="matrix(${itemMatrix(it).map(num).join(' ')})"><image href="${xmlEscape(it.src)}" x="${num(b.left)}" y="${num(b.top)}" ` +
+                    `width="${num(it.width)}" height="${num(it.height)}" preserveAspectRatio="none"/></g>`);
+                flush();
+                return;
+            }
+            if (it.type === 'shape') {
+                parts.push(`<g transform="matrix(${itemMatrix(it).map(num).join(' ')})">${svgShape(it)}</g>`);
+                flush();
+                return;
+            }
+            const { layout, box, textAlign, lines } = textLayout(it);
+            const transform = `matrix(${itemMatrix(it).map(num).join(' ')})`;
+            // same back-to-front order as drawTextItem(): plate, glow, shadow, text
+            if (it.plate) {
+                const pad = it.platePadding || 0;
+                parts.push(`<g transform="${transform}"><rect x="${num(box.left - pad)}" y="${num(box.top - pad)}" width="${num(layout.width + pad * 2)}" height="${num(layout.height + pad * 2)}" ` +
+                    `rx="${num(clamp(it.plateRadius || 0, 0, Math.min(layout.width, layout.height) / 2 + pad))}" fill="${xmlEscape(it.plateColor || '#000')}" fill-opacity="${num(clamp(it.plateOpacity, 0, 1))}"/></g>`);
+            }
+            const anchor = { left: 'start', center: 'middle', right: 'end' }[textAlign];
+            const hasStroke = it.stroke && it.strokeWidth > 0;
+            const strokeAttrs = hasStroke
+                ? ` stroke="${xmlEscape(it.strokeColor || '#000')}" stroke-width="${num(it.strokeWidth * 2)}" stroke-linejoin="${it.strokeJoin || 'round'}" stroke-miterlimit="3" paint-order="stroke"`
+                : '';
+            const tspans = lines.map(l => (l.pieces ? l.pieces.map(p => svgRunSpan(it, p)).join('')
+                : `<tspan x="${num(l.x)}" y="${num(l.y)}">${xmlEscape(l.text)}</tspan>`)).join('');
+            const fontAttrs = ` font-weight="${it.fontWeight || 400}"` + (it.italic ? ' font-style="italic"' : '') + (it.smallCaps ? ' font-variant="small-caps"' : '') +
+                (it.letterSpacing ? ` letter-spacing="${num(it.letterSpacing * it.size)}"` : '') + (it.wordSpacing ? ` word-spacing="${num(it.wordSpacing * it.size)}"` : '');
+            const text = `<text xml:space="preserve" font-family="${xmlEscape(fontFamilyToCSS(it.family))}" font-size="${num(it.size)}"${fontAttrs} ` +
+                `text-anchor="${hasRuns(it) || isPathText(it) ? 'start' : anchor}" fill="${svgFill(it, box, id, defs)}"${strokeAttrs}>${tspans}</text>`;
+            // glow/shadow copies: filters sit outside the transform so offsets stay in canvas pixels
+            if (it.glow && it.glowSize > 0) {
+                defs.push(svgShadowFilter(`${id}-glow`, 0, 0, it.glowSize, it.glowColor || '#fff'));
+                parts.push(`<g filter="url(#${id}-glow)"><g transform="${transform}">${text}</g></g>`);
+            }
+            if (it.shadow) {
+                defs.push(svgShadowFilter(`${id}-shadow`, it.shadowOffsetX || 0, it.shadowOffsetY || 0, it.shadowBlur || 0, colorWithAlpha(it.shadowColor, it.shadowOpacity)));
+                parts.push(`<g filter="url(#${id}-shadow)"><g transform="${transform}">${text}</g></g>`);
+            }
+            parts.push(`<g transform="${transform}">${text}</g>`);
+            flush();
+        });
+        // Reference the same Google Fonts stylesheet the page uses so the
+        // live text renders with the right faces when the SVG is opened.
+        const fontLink = document.querySelector('link[href*="fonts.googleapis.com"]');
+        const style = fontLink ? `<style>@import url("${xmlEscape(fontLink.href)}");</style>` : '';
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">\n` +
+            `${style}<defs>${defs.join('')}</defs>\n${body.join('\n')}\n</svg>\n`;
+    }
+
+    // ---------------------------------------------------------------------
+    // Canvas size presets and export options
+    // ---------------------------------------------------------------------
+
+    // presetForSize(w, h) -> matching CANVAS_PRESETS entry or null (custom)
+    function presetForSize(w, h) {
+        return CANVAS_PRESETS.find(p => p.width === w && p.height === h) || null;
+    }
+
+    // sizeSlug() -> short size tag for filenames ("4k", "1080p", or "1280x720")
+    function sizeSlug() {
+        const preset = presetForSize(canvas.width, canvas.height);
+        return preset ? preset.slug : `${canvas.width}x${canvas.height}`;
+    }
+
+    /**
+     * setCanvasSize(w, h)
+     * Resize the canvas bitmap (which also clears it) and refresh the size
+     * controls. Items are not touched; see resizeCanvas() for that.
+     */
+    function setCanvasSize(w, h) {
+        canvas.width = w;
+        canvas.height = h;
+        syncCanvasSizeControls();
+        scheduleDraw();
+    }
+
+    // Reflect the current canvas size in the preset select, W×H fields and label.
+    function syncCanvasSizeControls() {
+        const preset = presetForSize(canvas.width, canvas.height);
+        if (canvasPresetSelect) canvasPresetSelect.value = preset ? preset.id : 'custom';
+        if (canvasWInput) canvasWInput.value = canvas.width;
+        if (canvasHInput) canvasHInput.value = canvas.height;
+        if (canvasSizeLabel) canvasSizeLabel.textContent = `${canvas.width}×${canvas.height}${preset ? ` (${preset.label.split(' (')[0]})` : ''}`;
+    }
+
+    /**
+     * resizeCanvas(w, h, mode)
+     * Change the canvas size as one undoable step. Item positions always map
+     * proportionally onto the new canvas. In 'scale' mode sizes are scaled
+     * by the smaller of the two axis ratios so text still fits after an
+     * aspect change; in 'reposition' mode sizes are kept as they are.
+     */
+    function resizeCanvas(w, h, mode = 'scale') {
+        w = clamp(Math.round(w), MIN_CANVAS_SIDE, MAX_CANVAS_SIDE);
+        h = clamp(Math.round(h), MIN_CANVAS_SIDE, MAX_CANVAS_SIDE);
+        if (w === canvas.width && h === canvas.height) return;
+        replaceAll(`Resize canvas to ${w}×${h}`, () => {
+            const rx = w / canvas.width;
+            const ry = h / canvas.height;
+            for (const it of items) {
+                it.x *= rx;
+                it.y *= ry;
+                if (mode === 'scale') scaleItemBy(it, Math.min(rx, ry));
+            }
+            setCanvasSize(w, h);
+        });
+        if (selectedIndex >= 0) syncControlsFromItem(items[selectedIndex]);
+    }
+
+    // Build the preset list from CANVAS_PRESETS plus a "Custom" entry.
+    if (canvasPresetSelect) {
+        for (const p of CANVAS_PRESETS) {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.text = p.label;
+            canvasPresetSelect.add(opt);
+        }
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.text = 'Custom…';
+        canvasPresetSelect.add(custom);
+        canvasPresetSelect.addEventListener('change', () => {
+            const preset = CANVAS_PRESETS.find(p => p.id === canvasPresetSelect.value);
+            // "Custom" just unlocks the W×H fields; Apply commits them
+            if (preset) resizeCanvas(preset.width, preset.height, resizeModeSelect ? resizeModeSelect.value : 'scale');
+        });
+    }
+    if (applyCanvasSizeBtn) applyCanvasSizeBtn.addEventListener('click', () => {
+        const w = parseInt(canvasWInput.value, 10);
+        const h = parseInt(canvasHInput.value, 10);
+        if (!(w >= MIN_CANVAS_SIDE && w <= MAX_CANVAS_SIDE && h >= MIN_CANVAS_SIDE && h <= MAX_CANVAS_SIDE)) {
+            window.alert(`Canvas width and height must be between ${MIN_CANVAS_SIDE} and ${MAX_CANVAS_SIDE} pixels.`);
+            syncCanvasSizeControls();
+            return;
+        }
+        resizeCanvas(w, h, resizeModeSelect ? resizeModeSelect.value : 'scale');
+    });
+
+    // contentBounds(padding) -> integer canvas rectangle around every item
+    // (clamped to the canvas), or null when there is nothing to export.
+    function contentBounds(padding = 0) {
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        for (const it of items) {
+            if (it.hidden) continue;
+            const b = visualBounds(it);
+            left = Math.min(left, b.left);
+            top = Math.min(top, b.top);
+            right = Math.max(right, b.right);
+            bottom = Math.max(bottom, b.bottom);
+        }
+        left = clamp(Math.floor(left - padding), 0, canvas.width);
+        top = clamp(Math.floor(top - padding), 0, canvas.height);
+        right = clamp(Math.ceil(right + padding), 0, canvas.width);
+        bottom = clamp(Math.ceil(bottom + padding), 0, canvas.height);
+        if (right <= left || bottom <= top) return null;
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * renderExport({ trim, padding }) -> { canvas, x, y }
+     * Render the composition without on-screen overlays. Untrimmed exports
+     * use the main canvas directly; trimmed exports copy the content
+     * rectangle onto a new canvas and report its offset. Call scheduleDraw()
+     * once the pixels have been read to bring the overlays back.
+     */
+    function renderExport({ trim = false, padding = 0 } = {}) {
+        drawAll({ overlays: false });
+        const rect = trim ? contentBounds(padding) : null;
+        if (!rect) return { canvas, x: 0, y: 0 };
+        const out = document.createElement('canvas');
+        out.width = rect.width;
+        out.height = rect.height;
+        out.getContext('2d').drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+        return { canvas: out, x: rect.x, y: rect.y };
+    }
+
+    // Export formats offered by the format picker.
+    const EXPORT_FORMATS = {
+        png: { label: 'PNG', ext: 'png' },
+        webp: { label: 'WebP', ext: 'webp' },
+        svg: { label: 'SVG', ext: 'svg' },
+        zip: { label: 'layers ZIP', ext: 'zip' },
+        frames: { label: 'PNG sequence', ext: 'zip' },
+        webm: { label: 'WebM', ext: 'webm' }
+    };
+
+    /**
+     * exportLayersZip(baseName) -> Promise
+     * One transparent PNG per item, each at full canvas size, so every line
+     * can be keyed separately in a timeline. Items are rendered one at a
+     * time on the main canvas and the normal view is restored afterwards.
+     */
+    async function exportLayersZip(baseName) {
+        const files = [];
+        const digits = String(items.length).length;
+        try {
+            for (let i = 0; i < items.length; i++) {
+                if (items[i].hidden) continue;
+                drawAll({ overlays: false, list: [items[i]] });
+                const blob = await canvasToBlob(canvas, 'image/png');
+                const n = String(i + 1).padStart(Math.max(2, digits), '0');
+                files.push({ name: `${baseName}-${n}-${filenameFromText(items[i].type ? layerLabel(items[i]) : items[i].text)}.png`, data: await blobBytes(blob) });
+            }
+        } finally {
+            scheduleDraw();
+        }
+        downloadBlob(createZip(files), `${baseName}-layers.zip`);
+    }
+
+    // Download exports the composition in the chosen format. PNG and WebP
+    // (lossless, with alpha) encode the full-resolution canvas or the trimmed
+    // content area; trimmed exports carry their offset in the filename or in
+    // a sidecar JSON file so they can be positioned back onto the full frame.
+    if (downloadBtn) downloadBtn.addEventListener('click', async () => {
+        const format = (exportFormatSelect && EXPORT_FORMATS[exportFormatSelect.value]) ? exportFormatSelect.value : 'png';
+        try {
+            if (!(await assetsReadyForExport())) return;
+            const baseName = `${exportBaseName()}-${sizeSlug()}`;
+            if (format === 'zip') {
+                if (!items.some(it => !it.hidden)) return;
+                await exportLayersZip(baseName);
+                return;
+            }
+            if (format === 'frames' || format === 'webm') {
+                stopPlayback();
+                await (format === 'webm' ? exportWebM(baseName) : exportFrames(baseName));
+                return;
+            }
+            const trim = !!(exportTrimToggle && exportTrimToggle.checked);
+            const padding = trimPaddingInput ? Math.max(0, parseInt(trimPaddingInput.value, 10) || 0) : 0;
+            const rect = trim ? contentBounds(padding) : null;
+            const sidecar = !!rect && trimOffsetSelect && trimOffsetSelect.value === 'sidecar';
+            const name = rect && !sidecar ? `${baseName}-trim-x${rect.x}-y${rect.y}` : rect ? `${baseName}-trim` : baseName;
+            const ext = EXPORT_FORMATS[format].ext;
+            let blob;
+            if (format === 'svg') {
+                blob = new Blob([buildSVG(rect || undefined)], { type: 'image/svg+xml' });
+            } else {
+                // Render without the hover preview / selection outline; the
+                // encoder reads the bitmap before the normal view returns next frame.
+                const out = renderExport({ trim, padding });
+                const type = format === 'webp' ? 'image/webp' : 'image/png';
+                // quality 1 selects lossless WebP encoding
+                const pending = canvasToBlob(out.canvas, type, format === 'webp' ? 1 : undefined);
+                scheduleDraw();
+                blob = await pending;
+                if (blob.type !== type) {
+                    window.alert('This browser cannot encode WebP images. Choose PNG instead.');
+                    return;
                 }
             }
+            downloadBlob(blob, `${name}.${ext}`);
+            if (sidecar) {
+                const info = {
+                    image: `${name}.${ext}`,
+                    x: rect.x,
+                    y: rect.y,
+                    width: rect.width,
+                    height: rect.height,
+                    canvasWidth: canvas.width,
+                    canvasHeight: canvas.height
+                };
+                downloadBlob(new Blob([JSON.stringify(info, null, 2)], { type: 'application/json' }), `${name}.json`);
+            }
+        } catch (err) {
+            console.error('Download failed', err);
+            window.alert(`Export failed: ${err.message}`);
         }
-        isPointerDown = false;
-        try { canvas.releasePointerCapture(evt.pointerId); } catch (e) { }
     });
 
-    // If the pointer leaves the canvas we clear the hover preview
-    // Clear hover preview when the pointer leaves the canvas
-    canvas.addEventListener('pointerleave', () => { preview = null; scheduleDraw(); });
+    // Keep the download button label in step with the chosen format.
+    function updateDownloadLabel() {
+        if (!downloadBtn || !exportFormatSelect) return;
+        const f = EXPORT_FORMATS[exportFormatSelect.value] || EXPORT_FORMATS.png;
+        downloadBtn.textContent = `Download ${f.label}`;
+    }
+    if (exportFormatSelect) exportFormatSelect.addEventListener('change', updateDownloadLabel);
+    updateDownloadLabel();
 
-    // Clear button: ask for confirmation before clearing. If the user
-    // confirms, snapshot the current state (so the clear can be undone),
-    // then clear the items and redraw.
-    if (clearBtn) clearBtn.addEventListener('click', () => {
-        const ok = window.confirm('Clear all text from the canvas? This action can be undone with Undo.');
-        if (!ok) return;
-        pushState();
-        items.length = 0;
+    // ---------------------------------------------------------------------
+    // Animated titles
+    // ---------------------------------------------------------------------
+
+    // The frame at time t is the composition with every item's in/out
+    // animation applied (see ANIM_CONTROLS). It depends on nothing but the
+    // items and t = frame / fps, so a frame always renders the same pixels.
+    // Exports are a ZIP of numbered transparent PNGs, or a WebM recorded
+    // from the same frames where MediaRecorder can encode one.
+    const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    let animPreviewTime = null;   // seconds shown on the canvas while previewing, or null
+    let animPlayback = null;      // rAF id while the preview plays, or null
+    let timelineKey = '';         // signature of the last rendered timeline
+
+    // Clip settings from the Animation panel.
+    function clipDuration() {
+        return animDurationInput ? clamp(parseFloat(animDurationInput.value) || 3, 0.1, 600) : 3;
+    }
+    function clipFps() {
+        return animFpsSelect ? parseInt(animFpsSelect.value, 10) || 30 : 30;
+    }
+
+    /**
+     * animWindow(it, duration) -> { a, start, end, inDur, outDur }
+     * When the item is on screen and how long its in and out animations
+     * last, clipped so they fit between `start` and `end`. `a` is the
+     * item's animation settings with the defaults filled in.
+     */
+    function animWindow(it, duration) {
+        const a = {};
+        for (const prop of Object.keys(ANIM_DEFAULTS)) a[prop] = it[prop] !== undefined ? it[prop] : ANIM_DEFAULTS[prop];
+        const start = Math.min(a.animStart, duration);
+        const end = a.animEnd > start ? Math.min(a.animEnd, duration) : duration;
+        const inDur = a.animIn === 'none' ? 0 : Math.min(a.animInDuration, end - start);
+        const outDur = a.animOut === 'none' ? 0 : Math.min(a.animOutDuration, end - start - inDur);
+        return { a, start, end, inDur, outDur };
+    }
+
+    function easeOutCubic(p) {
+        return 1 - Math.pow(1 - p, 3);
+    }
+    // overshoots a little past 1 before settling, for the scale pop
+    function easeOutBack(p) {
+        const c = 1.70158;
+        return 1 + (c + 1) * Math.pow(p - 1, 3) + c * Math.pow(p - 1, 2);
+    }
+
+    // revealLength(it) -> characters a typewriter counts for a text item
+    function revealLength(it) {
+        return textLayout(it).lines.reduce((n, line) => n + (line.pieces ? line.pieces.reduce((m, p) => m + p.text.length, 0) : line.text.length), 0);
+    }
+
+    /**
+     * animateItem(frame, kind, shown, edge)
+     * Apply one effect to a frame copy of an item; `shown` runs from 0
+     * (not in yet / gone) to 1 (at rest). The out animation passes the time
+     * left, so it plays the in animation backwards.
+     */
+    function animateItem(frame, kind, shown, edge) {
+        const e = easeOutCubic(shown);
+        if (kind === 'fade' || (kind === 'typewriter' && (frame.type === 'image' || frame.type === 'shape'))) {
+            // images and shapes have no characters to type, so they fade
+            frame.opacity = itemOpacity(frame) * (kind === 'fade' ? e : shown);
+        } else if (kind === 'typewriter') {
+            frame.reveal = Math.floor(revealLength(frame) * shown);
+        } else if (kind === 'slide') {
+            // start just past the edge, clear of the canvas
+            const b = visualBounds(frame);
+            const off = { left: [-b.right, 0], right: [canvas.width - b.left, 0], top: [0, -b.bottom], bottom: [0, canvas.height - b.top] }[edge] || [0, 0];
+            frame.x += off[0] * (1 - e);
+            frame.y += off[1] * (1 - e);
+        } else if (kind === 'pop') {
+            // scale about the middle of the item, not its anchor
+            const box = contentBox(frame);
+            const cx = (box.left + box.right) / 2;
+            const cy = (box.top + box.bottom) / 2;
+            const before = applyMatrix(itemMatrix(frame), cx, cy);
+            const f = Math.max(0.001, easeOutBack(shown));
+            frame.scaleX = (frame.scaleX === undefined ? 1 : frame.scaleX) * f;
+            frame.scaleY = (frame.scaleY === undefined ? 1 : frame.scaleY) * f;
+            const after = applyMatrix(itemMatrix(frame), cx, cy);
+            frame.x += before.x - after.x;
+            frame.y += before.y - after.y;
+        }
+    }
+
+    /**
+     * frameItems(t, list, duration) -> items as they appear at `t` seconds
+     * Items outside their window are left out; animated ones are shallow
+     * copies, so the composition itself is never changed.
+     */
+    function frameItems(t, list = items, duration = clipDuration()) {
+        const out = [];
+        for (const it of list) {
+            const w = animWindow(it, duration);
+            if (t < w.start || t >= w.end) continue;
+            const inShown = w.inDur > 0 ? clamp((t - w.start) / w.inDur, 0, 1) : 1;
+            const outShown = w.outDur > 0 ? clamp((w.end - t) / w.outDur, 0, 1) : 1;
+            if (inShown >= 1 && outShown >= 1) {
+                out.push(it);
+                continue;
+            }
+            const frame = Object.assign({}, it);
+            if (inShown < 1) animateItem(frame, w.a.animIn, inShown, w.a.animEdge);
+            if (outShown < 1) animateItem(frame, w.a.animOut, outShown, w.a.animEdge);
+            out.push(frame);
+        }
+        return out;
+    }
+
+    function setAnimStatus(text) {
+        if (animStatusEl) animStatusEl.textContent = text;
+    }
+
+    /**
+     * renderTimeline(force)
+     * One row per item, topmost first: a bar from when the item comes in to
+     * when it is gone, with its in and out animations shaded, and the
+     * playhead at the preview time. Clicking a row selects the item.
+     */
+    function renderTimeline(force = false) {
+        if (!animTimelineEl) return;
+        const duration = clipDuration();
+        const key = JSON.stringify([duration, selection, items.map(it => [layerLabel(it), !!it.hidden, ANIM_CONTROLS.map(c => it[c.prop])])]);
+        if (!force && key === timelineKey) return;
+        timelineKey = key;
+        animTimelineEl.innerHTML = '';
+        const pct = v => `${clamp(v, 0, 1) * 100}%`;
+        for (let i = items.length - 1; i >= 0; i--) {
+            const it = items[i];
+            const w = animWindow(it, duration);
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = `anim-row${it.hidden ? ' is-hidden' : ''}`;
+            row.setAttribute('aria-pressed', String(selection.includes(i)));
+            row.title = `${w.start.toFixed(2)}–${w.end.toFixed(2)} s`;
+            const name = document.createElement('span');
+            name.className = 'anim-name';
+            name.textContent = layerLabel(it);
+            const track = document.createElement('span');
+            track.className = 'anim-track';
+            const bar = document.createElement('span');
+            bar.className = 'anim-bar';
+            bar.style.left = pct(w.start / duration);
+            bar.style.width = pct((w.end - w.start) / duration);
+            const span = w.end - w.start || 1;
+            if (w.inDur > 0) {
+                const part = document.createElement('span');
+                part.className = 'anim-in';
+                part.style.width = pct(w.inDur / span);
+                bar.appendChild(part);
+            }
+            if (w.outDur > 0) {
+                const part = document.createElement('span');
+                part.className = 'anim-out';
+                part.style.width = pct(w.outDur / span);
+                bar.appendChild(part);
+            }
+            const head = document.createElement('span');
+            head.className = 'anim-playhead';
+            track.append(bar, head);
+            row.append(name, track);
+            row.addEventListener('click', () => setSelection(i, withGroups([i])));
+            animTimelineEl.appendChild(row);
+        }
+        updatePlayhead();
+    }
+
+    // Move the playhead and the time readout to the scrubber's time.
+    function updatePlayhead() {
+        const t = animTimeInput ? parseFloat(animTimeInput.value) || 0 : 0;
+        if (animTimeLabel) animTimeLabel.textContent = `${t.toFixed(2)} s`;
+        if (!animTimelineEl) return;
+        for (const head of animTimelineEl.querySelectorAll('.anim-playhead')) {
+            head.style.left = `${clamp(t / clipDuration(), 0, 1) * 100}%`;
+            head.hidden = animPreviewTime === null;
+        }
+    }
+
+    // Show the frame at the scrubber's time on the canvas (or the still
+    // composition again when previewing is off).
+    function previewAnimation(on) {
+        if (animPreviewToggle) animPreviewToggle.checked = on;
+        animPreviewTime = on && animTimeInput ? parseFloat(animTimeInput.value) || 0 : null;
+        if (!on) stopPlayback();
+        updatePlayhead();
+        scheduleDraw();
+    }
+
+    // Scrubber range follows the clip length; steps are whole frames.
+    function updateScrubber() {
+        if (!animTimeInput) return;
+        animTimeInput.max = clipDuration();
+        animTimeInput.step = 1 / clipFps();
+        if (parseFloat(animTimeInput.value) > clipDuration()) animTimeInput.value = clipDuration();
+        if (animPreviewTime !== null) animPreviewTime = parseFloat(animTimeInput.value) || 0;
+        updatePlayhead();
+    }
+
+    // Play the preview from the scrubber's time to the end of the clip in
+    // real time. Only the preview plays on the wall clock; exports step
+    // through exact frame times.
+    function startPlayback() {
+        if (!animTimeInput) return;
+        if (parseFloat(animTimeInput.value) >= clipDuration()) animTimeInput.value = 0;
+        previewAnimation(true);
+        const from = parseFloat(animTimeInput.value) || 0;
+        const began = performance.now();
+        const tick = (now) => {
+            const t = Math.min(clipDuration(), from + (now - began) / 1000);
+            animTimeInput.value = t;
+            animPreviewTime = t;
+            updatePlayhead();
+            scheduleDraw();
+            animPlayback = t < clipDuration() ? requestAnimationFrame(tick) : null;
+            if (!animPlayback && animPlayBtn) animPlayBtn.textContent = 'Play';
+        };
+        if (animPlayBtn) animPlayBtn.textContent = 'Stop';
+        animPlayback = requestAnimationFrame(tick);
+    }
+    function stopPlayback() {
+        if (animPlayback) cancelAnimationFrame(animPlayback);
+        animPlayback = null;
+        if (animPlayBtn) animPlayBtn.textContent = 'Play';
+    }
+
+    /**
+     * exportFrames(baseName) -> Promise
+     * Render every frame of the clip and download them as numbered
+     * transparent PNGs (counting from 0) in one ZIP.
+     */
+    async function exportFrames(baseName) {
+        const fps = clipFps();
+        const duration = clipDuration();
+        const count = Math.max(1, Math.round(duration * fps));
+        const digits = Math.max(4, String(count - 1).length);
+        const files = [];
+        try {
+            for (let f = 0; f < count; f++) {
+                setAnimStatus(`Rendering frame ${f + 1} of ${count}…`);
+                drawAll({ overlays: false, list: frameItems(f / fps, items, duration) });
+                const blob = await canvasToBlob(canvas, 'image/png');
+                files.push({ name: `${baseName}-${String(f).padStart(digits, '0')}.png`, data: await blobBytes(blob) });
+            }
+        } finally {
+            setAnimStatus('');
+            scheduleDraw();
+        }
+        downloadBlob(createZip(files), `${baseName}-${fps}fps.zip`);
+    }
+
+    // webmType() -> a WebM type MediaRecorder can record from a canvas, or ''
+    function webmType() {
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) return '';
+        return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * exportWebM(baseName) -> Promise
+     * Record the clip as WebM. Frames are drawn exactly as for the PNG
+     * sequence and copied onto a private canvas, so the on-screen overlays
+     * drawn in between never reach the video. MediaRecorder stamps frames
+     * as they arrive, so they are fed at the frame rate in real time; the
+     * transparency is kept where the browser's encoder supports alpha.
+     */
+    async function exportWebM(baseName) {
+        const type = webmType();
+        if (!type) {
+            window.alert('This browser cannot record WebM video from the canvas. Choose "PNG sequence" instead.');
+            return;
+        }
+        const fps = clipFps();
+        const duration = clipDuration();
+        const count = Math.max(1, Math.round(duration * fps));
+        const rec = document.createElement('canvas');
+        rec.width = canvas.width;
+        rec.height = canvas.height;
+        const recCtx = rec.getContext('2d');
+        const stream = rec.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: Math.round(rec.width * rec.height * fps * 0.15) });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size) chunks.push(e.data);
+        };
+        const stopped = new Promise((resolve) => {
+            recorder.onstop = resolve;
+        });
+        recorder.start();
+        try {
+            for (let f = 0; f < count; f++) {
+                setAnimStatus(`Recording frame ${f + 1} of ${count}…`);
+                drawAll({ overlays: false, list: frameItems(f / fps, items, duration) });
+                recCtx.clearRect(0, 0, rec.width, rec.height);
+                recCtx.drawImage(canvas, 0, 0);
+                if (track.requestFrame) track.requestFrame();
+                await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+            }
+        } finally {
+            recorder.stop();
+            track.stop();
+            setAnimStatus('');
+            scheduleDraw();
+        }
+        await stopped;
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${baseName}-${fps}fps.webm`);
+    }
+
+    // Animation controls edit the selected items like the effect controls.
+    for (const c of ANIM_CONTROLS) {
+        if (!c.el) continue;
+        c.el.addEventListener('input', () => editSelected(c.prop, readStyleControl(c)));
+        c.el.addEventListener('change', () => {
+            editSelected(c.prop, readStyleControl(c));
+            endEditSession();
+        });
+    }
+    for (const el of [animDurationInput, animFpsSelect]) {
+        if (el) el.addEventListener('change', () => {
+            updateScrubber();
+            scheduleDraw();
+        });
+    }
+    if (animTimeInput) animTimeInput.addEventListener('input', () => {
+        stopPlayback();
+        previewAnimation(true);
+    });
+    if (animPreviewToggle) animPreviewToggle.addEventListener('change', () => previewAnimation(animPreviewToggle.checked));
+    if (animPlayBtn) animPlayBtn.addEventListener('click', () => (animPlayback ? stopPlayback() : startPlayback()));
+    updateScrubber();
+
+    // ---------------------------------------------------------------------
+    // Templates
+    // ---------------------------------------------------------------------
+
+    // A template is a composition plus the canvas size it was laid out for:
+    // { name, width, height, items }. Built-in layouts are drawn for
+    // 1920×1080 (BUILTIN_TEMPLATES in render.js); templates the user saves
+    // are kept in localStorage. See templateItems() for how a layout is
+    // fitted to the current canvas.
+    const TEMPLATES_KEY = 'igroovie:templates';
+    const TEMPLATE_THUMB_W = 160; // gallery thumbnail width, pixels
+    let templateFontsRequested = false;
+
+    // userTemplates() -> templates saved in this browser; entries that would
+    // not pass as a project (see validateProject()) are skipped
+    function userTemplates() {
+        let list;
+        try {
+            list = JSON.parse(localStorage.getItem(TEMPLATES_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+        if (!Array.isArray(list)) return [];
+        return list.filter((t) => {
+            if (!t || typeof t.name !== 'string') return false;
+            try {
+                validateProject({ format: PROJECT_FORMAT, version: PROJECT_VERSION, canvas: { width: t.width, height: t.height }, items: t.items });
+                return true;
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    // storeUserTemplates(list) -> true when the list was written
+    function storeUserTemplates(list) {
+        try {
+            localStorage.setItem(TEMPLATES_KEY, JSON.stringify(list));
+            return true;
+        } catch (e) {
+            window.alert('Could not save the template: browser storage is full or disabled. Images take the most space.');
+            return false;
+        }
+    }
+
+    // templateItems(t) -> items fitted to the current canvas (see fitTemplate() in render.js)
+    function templateItems(t) {
+        return renderer.fitTemplate(t, canvas.width, canvas.height);
+    }
+
+    // applyTemplate(t): replace the composition with a template as one step
+    function applyTemplate(t) {
+        if (items.length && !window.confirm(`Replace everything on the canvas with the “${t.name}” template? This can be undone with Undo.`)) return;
+        endEditSession();
+        replaceAll(`Apply template “${t.name}”`, () => {
+            items.splice(0, items.length, ...templateItems(t));
+        });
+        loadFontsInUse().then(() => scheduleDraw());
+        setSelection(-1);
         scheduleDraw();
+    }
+
+    // saveTemplate(): store the current composition under a name the user picks
+    function saveTemplate() {
+        if (!items.length) {
+            window.alert('Add something to the canvas first, then save it as a template.');
+            return;
+        }
+        const name = (window.prompt('Template name:', '') || '').trim();
+        if (!name) return;
+        const list = userTemplates();
+        const existing = list.findIndex(t => t.name === name);
+        if (existing >= 0 && !window.confirm(`Replace your template “${name}”?`)) return;
+        const template = { name, width: canvas.width, height: canvas.height, items: JSON.parse(JSON.stringify(items)) };
+        if (existing >= 0) list[existing] = template;
+        else list.push(template);
+        if (storeUserTemplates(list)) renderTemplates();
+    }
+
+    function deleteTemplate(name) {
+        if (!window.confirm(`Delete your template “${name}”?`)) return;
+        if (storeUserTemplates(userTemplates().filter(t => t.name !== name))) renderTemplates();
+    }
+
+    /**
+     * renderTemplates()
+     * Rebuild the gallery (built-in layouts first, then the user's) with a
+     * thumbnail of each template as it would land on the current canvas.
+     * Thumbnails are rendered on the main canvas and copied, so this only
+     * runs while the panel is open; the first time it also fetches the
+     * fonts the templates use and redraws the thumbnails once they arrive.
+     */
+    function renderTemplates() {
+        if (!templateListEl || (templatesPanelEl && !templatesPanelEl.open)) return;
+        const all = BUILTIN_TEMPLATES.map(t => ({ t, builtin: true })).concat(userTemplates().map(t => ({ t, builtin: false })));
+        templateListEl.innerHTML = '';
+        for (const { t, builtin } of all) {
+            const li = document.createElement('li');
+            li.className = 'template';
+            const apply = document.createElement('button');
+            apply.type = 'button';
+            apply.className = 'template-apply';
+            apply.title = builtin ? `Apply the built-in “${t.name}” layout` : `Apply your template “${t.name}” (made on ${t.width}×${t.height})`;
+            const thumb = document.createElement('canvas');
+            thumb.width = TEMPLATE_THUMB_W;
+            thumb.height = Math.max(1, Math.round(TEMPLATE_THUMB_W * canvas.height / canvas.width));
+            drawAll({ overlays: false, list: templateItems(t) });
+            const thumbCtx = thumb.getContext('2d');
+            if (thumbCtx) thumbCtx.drawImage(canvas, 0, 0, thumb.width, thumb.height);
+            const label = document.createElement('span');
+            label.textContent = t.name;
+            apply.append(thumb, label);
+            apply.addEventListener('click', () => applyTemplate(t));
+            li.appendChild(apply);
+            if (!builtin) {
+                const del = document.createElement('button');
+                del.type = 'button';
+                del.className = 'template-delete';
+                del.textContent = '×';
+                del.title = `Delete your template “${t.name}”`;
+                del.addEventListener('click', () => deleteTemplate(t.name));
+                li.appendChild(del);
+            }
+            templateListEl.appendChild(li);
+        }
+        // put the composition back on the canvas before the browser paints
+        drawAll();
+        if (!templateFontsRequested) {
+            templateFontsRequested = true;
+            loadFontsInUse(all.flatMap(({ t }) => t.items)).then(renderTemplates);
+        }
+    }
+
+    if (templatesPanelEl) templatesPanelEl.addEventListener('toggle', renderTemplates);
+    if (saveTemplateBtn) saveTemplateBtn.addEventListener('click', saveTemplate);
+
+    // ---------------------------------------------------------------------
+    // Batch export: template placeholders + CSV/JSON records
+    // ---------------------------------------------------------------------
+
+    // Any item whose text contains `{{field}}` placeholders is a template
+    // field. Importing a list of records lets each row be previewed on the
+    // canvas and exported as its own numbered PNG, bundled into one ZIP.
+    let batchRecords = [];        // imported rows: [{ field: value }]
+    let batchFields = [];         // column names in import order
+    let batchPreviewRow = -1;     // row shown on the canvas, or -1 for the raw template
+
+    // itemsForRecord(record) -> copies of the items with placeholders filled in
+    function itemsForRecord(record) {
+        return items.map(it => (String(it.text).includes('{{') ? Object.assign({}, it, fillItemText(it, record)) : it));
+    }
+
+    // templateFields() -> distinct placeholder names used by the items
+    function templateFields() {
+        const names = [];
+        for (const it of items) {
+            for (const m of String(it.text).matchAll(PLACEHOLDER_RE)) {
+                if (!names.includes(m[1])) names.push(m[1]);
+            }
+        }
+        return names;
+    }
+
+    // Refresh the batch panel: data summary, missing fields and row selector.
+    function updateBatchUI() {
+        const used = templateFields();
+        const missing = used.filter(f => !batchFields.includes(f));
+        if (batchInfoEl) {
+            if (!batchRecords.length) {
+                batchInfoEl.textContent = used.length
+                    ? `Template fields: ${used.join(', ')}. Import data to fill them.`
+                    : 'Add {{field}} placeholders to text items to make a template.';
+            } else {
+                batchInfoEl.textContent = `${batchRecords.length} row${batchRecords.length === 1 ? '' : 's'}; columns: ${batchFields.join(', ')}.` +
+                    (missing.length ? ` Missing columns: ${missing.join(', ')}.` : '');
+            }
+        }
+        if (batchRowInput) {
+            batchRowInput.max = Math.max(1, batchRecords.length);
+            batchRowInput.disabled = !batchRecords.length;
+        }
+        if (batchPreviewToggle) batchPreviewToggle.disabled = !batchRecords.length;
+        if (batchExportBtn) batchExportBtn.disabled = !batchRecords.length;
+    }
+
+    // Show the chosen row on the canvas while "Preview row" is checked.
+    function updateBatchPreview() {
+        const row = batchRowInput ? clamp(parseInt(batchRowInput.value, 10) || 1, 1, Math.max(1, batchRecords.length)) : 1;
+        batchPreviewRow = batchPreviewToggle && batchPreviewToggle.checked && batchRecords.length ? row - 1 : -1;
+        scheduleDraw();
+    }
+
+    /**
+     * exportBatch() -> Promise
+     * Render every record and download the PNGs as one ZIP. Files are
+     * numbered in row order; the pattern adds a readable, sanitized suffix.
+     */
+    async function exportBatch() {
+        if (!batchRecords.length) return;
+        const digits = Math.max(2, String(batchRecords.length).length);
+        const pattern = batchPatternInput ? batchPatternInput.value : '';
+        const files = [];
+        if (!(await assetsReadyForExport(batchRecords.flatMap(itemsForRecord)))) return;
+        try {
+            for (let i = 0; i < batchRecords.length; i++) {
+                drawAll({ overlays: false, list: itemsForRecord(batchRecords[i]) });
+                const blob = await canvasToBlob(canvas, 'image/png');
+                files.push({ name: `${batchFileName(pattern, batchRecords[i], i, digits)}.png`, data: await blobBytes(blob) });
+            }
+        } finally {
+            scheduleDraw();
+        }
+        downloadBlob(createZip(files), `${exportBaseName()}-batch-${sizeSlug()}.zip`);
+    }
+
+    if (batchImportBtn && batchFileInput) {
+        batchImportBtn.addEventListener('click', () => batchFileInput.click());
+        batchFileInput.addEventListener('change', () => {
+            const file = batchFileInput.files[0];
+            batchFileInput.value = '';
+            if (!file) return;
+            file.text().then((text) => {
+                const isJSON = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+                const parsed = isJSON ? parseRecordsJSON(text) : parseCSV(text);
+                batchRecords = parsed.records;
+                batchFields = parsed.fields;
+                if (batchRowInput) batchRowInput.value = 1;
+                updateBatchUI();
+                updateBatchPreview();
+            }).catch((err) => {
+                console.error('Batch import failed', err);
+                window.alert(`Could not import "${file.name}".\n\n${err.message}`);
+            });
+        });
+    }
+    if (batchRowInput) batchRowInput.addEventListener('input', updateBatchPreview);
+    if (batchPreviewToggle) batchPreviewToggle.addEventListener('change', updateBatchPreview);
+    if (batchExportBtn) batchExportBtn.addEventListener('click', () => {
+        exportBatch().catch((err) => {
+            console.error('Batch export failed', err);
+            window.alert(`Batch export failed: ${err.message}`);
+        });
     });
+    if (batchPanelEl) batchPanelEl.addEventListener('toggle', updateBatchUI);
+    updateBatchUI();
+
+    // ---------------------------------------------------------------------
+    // Project files (.igroovie) and autosave
+    // ---------------------------------------------------------------------
+
+    // A project is a small versioned JSON document; render.js describes it
+    // and holds validateProject().
+    const AUTOSAVE_KEY = 'igroovie:autosave';
+    const AUTOSAVE_DELAY = 800;
+
+    /**
+     * serializeProject({ withHistory }) -> object
+     * Capture the current composition as a plain project object, by default
+     * together with its undo/redo history.
+     */
+    function serializeProject({ withHistory = true } = {}) {
+        const fonts = [];
+        for (const it of items) {
+            if (it.family && !fonts.includes(it.family)) fonts.push(it.family);
+        }
+        const project = {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            canvas: { width: canvas.width, height: canvas.height },
+            fonts,
+            items: JSON.parse(JSON.stringify(items))
+        };
+        // merge keys only matter within a session, so they are not saved
+        const plain = list => list.map(({ mergeKey, ...cmd }) => JSON.parse(JSON.stringify(cmd)));
+        if (withHistory) project.history = { done: plain(history.done), undone: plain(history.undone) };
+        return project;
+    }
+
+    // Make sure every font a project uses is selectable and starts loading.
+    // Fonts that fail to load are listed once, since the text falls back.
+    function ensureProjectFonts(families) {
+        if (!fontSelect) return;
+        let added = false;
+        const loads = [];
+        for (const family of families) {
+            const exists = Array.from(fontSelect.options).some(o => o.text === family);
+            if (!exists) {
+                const opt = document.createElement('option');
+                opt.text = family;
+                fontSelect.add(opt);
+                added = true;
+            }
+            loads.push(loadFontFor(family).then(() => scheduleDraw()));
+        }
+        if (added) populateFontPanel();
+        Promise.allSettled(loads).then((results) => {
+            const failed = results.filter(r => r.status === 'rejected').map(r => r.reason.message);
+            if (failed.length) window.alert(`Some fonts in this project are not available; a fallback is shown instead.\n- ${failed.join('\n- ')}`);
+        });
+    }
+
+    /**
+     * loadProject(project, { undoable })
+     * Replace the current composition with a validated project. A project
+     * saved with its history brings that history back. Otherwise opening a
+     * file is recorded as a step so an accidental open can be reverted.
+     */
+    function loadProject(project, { undoable = true } = {}) {
+        const families = (project.fonts || []).concat(project.items.map(it => it.family)).filter(Boolean);
+        ensureProjectFonts(Array.from(new Set(families)));
+        const load = () => {
+            setCanvasSize(project.canvas.width, project.canvas.height);
+            items.length = 0;
+            for (const it of project.items) items.push(normalizeItem(it));
+        };
+        endEditSession();
+        if (project.history) {
+            load();
+            history.done = project.history.done;
+            history.undone = project.history.undone;
+            historyChanged();
+        } else if (undoable) {
+            replaceAll('Open project', load);
+        } else {
+            load();
+            history.done = [];
+            history.undone = [];
+            historyChanged();
+        }
+        loadFontsInUse().then(() => scheduleDraw());
+        setSelection(-1);
+        scheduleDraw();
+        scheduleAutosave();
+        if (project.warnings && project.warnings.length) window.alert(project.warnings.join('\n\n'));
+    }
+
+    // parseProjectText(text) -> validated project (throws with a readable message)
+    function parseProjectText(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not an iGroovie project: the file is not valid JSON.');
+        }
+        return validateProject(data);
+    }
 
-    // Download creates a PNG blob from the full-resolution canvas and triggers
-    // a download via a temporary anchor element. Guarded in case the button is missing.
-    if (downloadBtn) downloadBtn.addEventListener('click', () => {
+    // Read a File (from the picker or a drop) and load it as a project.
+    function openProjectFile(file) {
+        if (!file) return;
+        file.text().then((text) => {
+            loadProject(parseProjectText(text));
+        }).catch((err) => {
+            console.error('Open project failed', err);
+            window.alert(`Could not open "${file.name}".\n\n${err.message}`);
+        });
+    }
+
+    // Save downloads the project JSON, named after the current text like the PNG export.
+    if (saveProjectBtn) saveProjectBtn.addEventListener('click', () => {
         try {
-            // Create filename from current text input (sanitized). Falls back to 'igroovie'
-            function filenameFromText(s) {
-                if (!s) return 'igroovie';
-                let name = String(s).trim();
-                if (!name) return 'igroovie';
-                // Normalize and remove diacritics, replace spaces with dashes
-                name = name.normalize('NFKD').replace(/\p{Diacritic}/gu, '');
-                name = name.replace(/\s+/g, '-');
-                // Allow alphanumerics, dash and underscore only
-                name = name.replace(/[^A-Za-z0-9\-_]/g, '');
-                // Trim to reasonable length
-                if (name.length > 60) name = name.slice(0, 60);
-                return name || 'igroovie';
-            }
-            const baseName = (textInput && textInput.value) ? filenameFromText(textInput.value) : 'igroovie';
-            canvas.toBlob((blob) => {
-                if (!blob) return;
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `${baseName}-4k.png`;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-                URL.revokeObjectURL(url);
-            }, 'image/png');
+            const json = JSON.stringify(serializeProject(), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), `${exportBaseName()}.igroovie`);
         } catch (err) {
-            console.error('Download failed', err);
+            console.error('Save project failed', err);
         }
     });
 
-    // Center button: add the current text centered on the canvas. Snapshot first.
+    if (openProjectBtn && projectFileInput) {
+        openProjectBtn.addEventListener('click', () => projectFileInput.click());
+        projectFileInput.addEventListener('change', () => {
+            openProjectFile(projectFileInput.files[0]);
+            // reset so picking the same file again still fires `change`
+            projectFileInput.value = '';
+        });
+    }
+
+    // Drag-and-drop a project file onto the canvas to open it, or image
+    // files to add them as layers where they are dropped.
+    canvas.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    canvas.addEventListener('drop', (e) => {
+        if (!e.dataTransfer || !e.dataTransfer.files.length) return;
+        e.preventDefault();
+        const files = Array.from(e.dataTransfer.files);
+        if (files.some(f => f.type.startsWith('image/'))) addImageFiles(files, getMousePos(e));
+        else openProjectFile(files[0]);
+    });
+
+    // Debounced autosave: many rapid changes produce a single localStorage write.
+    let autosaveTimer = null;
+    function scheduleAutosave() {
+        if (autosaveTimer) clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(() => {
+            autosaveTimer = null;
+            try {
+                localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeProject()));
+            } catch (e) {
+                // a long history can exceed the storage quota; keep at least the composition
+                try {
+                    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeProject({ withHistory: false })));
+                } catch (e2) {
+                    // storage may be full or disabled (private mode); autosave is best-effort
+                    console.warn('Autosave failed', e2);
+                }
+            }
+        }, AUTOSAVE_DELAY);
+    }
+
+    // On startup offer to restore the last autosaved composition. A corrupt or
+    // incompatible autosave is reported and discarded rather than silently ignored.
+    function offerAutosaveRestore() {
+        let raw = null;
+        try { raw = localStorage.getItem(AUTOSAVE_KEY); } catch (e) { return; }
+        if (!raw) return;
+        let project;
+        try {
+            project = parseProjectText(raw);
+        } catch (err) {
+            console.warn('Discarding autosave', err);
+            window.alert(`The autosaved project could not be restored and was discarded.\n\n${err.message}`);
+            try { localStorage.removeItem(AUTOSAVE_KEY); } catch (e) { }
+            return;
+        }
+        if (!project.items.length) return;
+        const when = project.savedAt ? new Date(project.savedAt).toLocaleString() : 'earlier';
+        const ok = window.confirm(`Restore your autosaved project from ${when} (${project.items.length} item${project.items.length === 1 ? '' : 's'})?`);
+        if (ok) loadProject(project, { undoable: false });
+    }
+
+    // Center button: add the current text centered on the canvas as one step.
     if (centerBtn) centerBtn.addEventListener('click', () => {
         const text = (textInput && textInput.value) ? textInput.value : '';
         if (!text) return;
-        pushState();
-        const size = fontSizeInput ? clamp(parseInt(fontSizeInput.value, 10) || 48, 8, 800) : 48;
-        const family = currentFontFamily();
-        const color = colorInput ? colorInput.value : '#ffffff';
-        const align = 'center';
-        items.push({ text, x: canvas.width / 2, y: canvas.height / 2, size, family, color, align });
-        scheduleDraw();
+        const it = itemFromControls(canvas.width / 2, canvas.height / 2, { align: 'center' });
+        insertItem(`Insert ${itemRef(it)} at center`, items.length, it);
     });
 
-    // Undo/Redo handlers use snapshot stacks
-    if (undoBtn) undoBtn.addEventListener('click', () => {
-        if (undoStack.length === 0) return;
-        // push current state to redo, then restore last undo snapshot
-        redoStack.push(JSON.parse(JSON.stringify(items)));
-        const prev = undoStack.pop();
-        setState(prev);
-    });
-    if (redoBtn) redoBtn.addEventListener('click', () => {
-        if (redoStack.length === 0) return;
-        undoStack.push(JSON.parse(JSON.stringify(items)));
-        const next = redoStack.pop();
-        setState(next);
-    });
+    // Undo/Redo step through the command history
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+    if (historyPanelEl) historyPanelEl.addEventListener('toggle', renderHistory);
 
     // Keyboard shortcuts: Undo/Redo
     // - Cmd/Ctrl+Z => Undo
     // - Cmd/Ctrl+Shift+Z or Ctrl+Y => Redo
     // Keyboard shortcuts: Undo/Redo. Uses platform modifier (Ctrl or Cmd).
+    // While typing in a form field the field's own undo applies instead.
     document.addEventListener('keydown', (e) => {
         const mod = e.ctrlKey || e.metaKey;
-        if (!mod) return;
+        if (!mod || isTypingTarget(e.target)) return;
         // Z (undo) and Y (redo)
         if (e.key.toLowerCase() === 'z') {
             e.preventDefault();
@@ -737,8 +4444,13 @@
         if (fontRange) fontRange.value = v;
     });
 
-    // Initialize undo/redo button states
+    // Initialize undo/redo button states and the canvas size controls
     updateUndoRedoButtons();
+    syncCanvasSizeControls();
+    setSelection(-1);
+
+    // Offer the autosaved project (if any) once the UI is wired up
+    offerAutosaveRestore();
 
     // Redraw on window resize to keep visual fidelity (canvas internal resolution remains unchanged)
     window.addEventListener('resize', () => scheduleDraw());
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/*
+ * render-cli.js
+ * Render iGroovie projects and templates to PNG files without a browser,
+ * e.g. to generate title cards in a build pipeline.
+ *
+ * Usage:
+ *   node render-cli.js <input> [options]
+ *
+ * <input> is a saved project (.igroovie), a template JSON file
+ * ({ name, width, height, items }) or the name of a built-in template.
+ *
+ * Options:
+ *   --data <file>          CSV or JSON records; one PNG per record with the
+ *                          `{{field}}` placeholders filled in
+ *   --out <dir>            where the PNGs go (default: the current directory)
+ *   --name <pattern>       file name pattern, e.g. "{{name}}" (like the batch
+ *                          panel's); numbered when rendering records
+ *   --size <W>x<H>         canvas size for a template (default: its own)
+ *   --font <file>[=Family] register a font file (repeatable); the family
+ *                          defaults to the file name
+ *   --list-templates       print the built-in template names
+ *
+ * Drawing uses node-canvas (`npm install canvas`). Fonts that are neither
+ * registered with --font nor installed on the system fall back to a
+ * default face, as they do in the browser.
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+    MIN_CANVAS_SIDE, MAX_CANVAS_SIDE, PROJECT_FORMAT, PROJECT_VERSION, BUILTIN_TEMPLATES,
+    createRenderer, validateProject, normalizeItem, fillItemText,
+    parseCSV, parseRecordsJSON, filenameFromText, batchFileName
+} = require('./render.js');
+
+const USAGE = `Usage: node render-cli.js <project.igroovie | template.json | "Built-in template"> [options]
+
+  --data <file>          CSV or JSON records, one PNG per record
+  --out <dir>            output directory (default: .)
+  --name <pattern>       file name pattern, e.g. "{{name}}"
+  --size <W>x<H>         canvas size for a template (default: its own)
+  --font <file>[=Family] register a font file (repeatable)
+  --list-templates       print the built-in template names`;
+
+// parseArgs(argv) -> { input, data, out, name, size, fonts, listTemplates }
+function parseArgs(argv) {
+    const opts = { input: null, data: null, out: '.', name: '', size: null, fonts: [], listTemplates: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value.`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--data': opts.data = value(); break;
+            case '--out': opts.out = value(); break;
+            case '--name': opts.name = value(); break;
+            case '--size': {
+                const m = /^(\d+)x(\d+)$/i.exec(value());
+                if (!m) throw new Error('--size must look like 1920x1080.');
+                opts.size = { width: parseInt(m[1], 10), height: parseInt(m[2], 10) };
+                if ([opts.size.width, opts.size.height].some(v => v < MIN_CANVAS_SIDE || v > MAX_CANVAS_SIDE)) {
+                    throw new Error(`--size must be between ${MIN_CANVAS_SIDE} and ${MAX_CANVAS_SIDE} pixels per side.`);
+                }
+                break;
+            }
+            case '--font': {
+                const [file, family] = value().split('=');
+                opts.fonts.push({ file, family: family || path.basename(file, path.extname(file)) });
+                break;
+            }
+            case '--list-templates': opts.listTemplates = true; break;
+            case '-h':
+            case '--help':
+                opts.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+                if (opts.input) throw new Error('Only one project or template can be rendered at a time.');
+                opts.input = arg;
+        }
+    }
+    return opts;
+}
+
+// loadCanvasModule() -> node-canvas, or a readable error when it isn't installed
+function loadCanvasModule() {
+    try {
+        return require('canvas');
+    } catch (e) {
+        throw new Error('Rendering needs node-canvas. Install it with `npm install canvas` and try again.');
+    }
+}
+
+/**
+ * loadComposition(input, size) -> { name, width, height, items } or { name, width, height, template }
+ * A built-in template by name, a project file (validated like the page's
+ * Open), or a template file. A template is fitted to its canvas (`size`,
+ * or its own) later, once a renderer can measure it.
+ */
+function loadComposition(input, size) {
+    const builtin = BUILTIN_TEMPLATES.find(t => t.name.toLowerCase() === input.toLowerCase());
+    if (builtin && !fs.existsSync(input)) return Object.assign({ name: builtin.name, width: builtin.width, height: builtin.height, template: builtin }, size);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(input, 'utf8'));
+    } catch (e) {
+        throw new Error(e.code === 'ENOENT'
+            ? `No such file or built-in template: "${input}". Use --list-templates to see the built-in ones.`
+            : `Could not read "${input}": ${e.message}`);
+    }
+    const name = path.basename(input, path.extname(input));
+    if (data && data.format === PROJECT_FORMAT) {
+        const project = validateProject(data);
+        if (size) console.warn('Note: --size only applies to templates; the project keeps its own canvas size.');
+        return { name, width: project.canvas.width, height: project.canvas.height, items: project.items.map(normalizeItem) };
+    }
+    // a template file is checked as a project with the template's canvas
+    validateProject({ format: PROJECT_FORMAT, version: PROJECT_VERSION, canvas: { width: data && data.width, height: data && data.height }, items: data && data.items });
+    return Object.assign({ name: data.name || name, width: data.width, height: data.height, template: data }, size);
+}
+
+// loadRecords(file) -> [{ field: value }] from a CSV or JSON file
+function loadRecords(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const isJSON = /\.json$/i.test(file) || /^\s*[[{]/.test(text);
+    return (isJSON ? parseRecordsJSON(text) : parseCSV(text)).records;
+}
+
+// preloadImages(items, loadImage) -> Map of data URL -> decoded image for
+// image layers and pattern fills (the renderer draws synchronously)
+async function preloadImages(items, loadImage) {
+    const images = new Map();
+    for (const it of items) {
+        const src = it.type === 'image' ? it.src : it.fillType === 'pattern' ? it.fillPattern : '';
+        if (!src || images.has(src)) continue;
+        try {
+            images.set(src, await loadImage(src));
+        } catch (e) {
+            console.warn(`Warning: an image in "${it.name || it.text || 'an item'}" could not be decoded and is skipped.`);
+            images.set(src, null);
+        }
+    }
+    return images;
+}
+
+async function main(argv) {
+    const opts = parseArgs(argv);
+    if (opts.listTemplates) {
+        for (const t of BUILTIN_TEMPLATES) console.log(t.name);
+        return;
+    }
+    if (opts.help || !opts.input) {
+        console.log(USAGE);
+        if (!opts.help) process.exitCode = 1;
+        return;
+    }
+    const { createCanvas, loadImage, registerFont, DOMMatrix } = loadCanvasModule();
+    // pattern fills are placed with a DOMMatrix, as in the browser
+    if (typeof global.DOMMatrix === 'undefined' && DOMMatrix) global.DOMMatrix = DOMMatrix;
+    // fonts must be registered before the first canvas is created
+    for (const f of opts.fonts) registerFont(f.file, { family: f.family });
+
+    const comp = loadComposition(opts.input, opts.size);
+    const canvas = createCanvas(comp.width, comp.height);
+    const ctx = canvas.getContext('2d');
+    const images = await preloadImages(comp.template ? comp.template.items : comp.items, loadImage);
+    const renderer = createRenderer(ctx, { imageFor: src => images.get(src) || null });
+    const items = comp.template ? renderer.fitTemplate(comp.template, comp.width, comp.height) : comp.items;
+
+    const registered = opts.fonts.map(f => f.family);
+    const missing = Array.from(new Set(items.filter(it => it.type !== 'image' && it.type !== 'shape')
+        .flatMap(it => [it.family].concat((it.runs || []).map(r => r.family))).filter(Boolean)))
+        .filter(family => !registered.includes(family));
+    if (missing.length) console.warn(`Fonts not registered with --font (system fonts or a fallback are used): ${missing.join(', ')}`);
+
+    const records = opts.data ? loadRecords(opts.data) : [null];
+    const digits = Math.max(2, String(records.length).length);
+    fs.mkdirSync(opts.out, { recursive: true });
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        const list = record ? items.map(it => (String(it.text).includes('{{') ? Object.assign({}, it, fillItemText(it, record)) : it)) : items;
+        renderer.renderItems(list, comp.width, comp.height);
+        const base = record ? batchFileName(opts.name, record, i, digits) : filenameFromText(opts.name || comp.name);
+        const file = path.join(opts.out, `${base}.png`);
+        fs.writeFileSync(file, canvas.toBuffer('image/png'));
+        console.log(`${file} (${comp.width}×${comp.height})`);
+    }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
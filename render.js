@@ -0,0 +1,1749 @@
+(function (root, factory) {
+    // Browser: `window.IgroovieRender`, read by igroovie.js. Node: module.exports (see render-cli.js).
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.IgroovieRender = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+    /*
+     * render.js
+     * The headless core of iGroovie: the item model, text layout, hit-testing
+     * and drawing, with no DOM access. The page and the Node CLI share it.
+     *
+     * - Describe items and their properties (STYLE_FIELDS & co.), fill in
+     *   defaults and validate `.igroovie` project documents.
+     * - Fill `{{field}}` templates from CSV/JSON records.
+     * - Lay out, measure, hit-test and draw items on any 2D context through
+     *   createRenderer(ctx, { imageFor }); the page passes its canvas, the
+     *   CLI a node-canvas one.
+     */
+
+    // ---------------------------------------------------------------------
+    // Item model
+    // ---------------------------------------------------------------------
+
+    // Smallest and largest canvas side a project may use, in pixels.
+    const MIN_CANVAS_SIDE = 16;
+    const MAX_CANVAS_SIDE = 8192;
+
+    // Per-item effect styling and transforms. Each entry describes an item
+    // property and the sidebar control (`id`) the page binds to it; `type`
+    // decides how the value is read, written and validated. Effects are
+    // switched on by their boolean (`stroke`, `shadow`, ...). Rotation and
+    // skew are degrees, scale is a factor. Letter and word spacing are
+    // fractions of the font size, so they follow the text when it is
+    // resized. Opacity and the transforms also apply to image layers (see
+    // IMAGE_PROPS in igroovie.js). The text path settings are described in
+    // "Text on a path" below.
+    const STYLE_DEFAULTS = {
+        fontWeight: 400, italic: false, smallCaps: false, textTransform: 'none', letterSpacing: 0, wordSpacing: 0,
+        stroke: false, strokeColor: '#000000', strokeWidth: 8, strokeJoin: 'round',
+        shadow: false, shadowColor: '#000000', shadowOpacity: 0.6, shadowOffsetX: 8, shadowOffsetY: 8, shadowBlur: 16,
+        glow: false, glowColor: '#6b8cff', glowSize: 32,
+        plate: false, plateColor: '#000000', plateOpacity: 0.6, platePadding: 32, plateRadius: 24,
+        fillType: 'solid', fillAngle: 0, patternScale: 100, fillPattern: '',
+        opacity: 1, rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0,
+        textPath: 'none', arcRadius: 600, arcStart: 0, arcDirection: 'cw',
+        fillStops: [
+            { offset: 0, color: '#ffffff', alpha: 1 },
+            { offset: 1, color: '#6b8cff', alpha: 1 }
+        ]
+    };
+    const FILL_TYPES = ['solid', 'linear', 'radial', 'pattern'];
+    const TEXT_TRANSFORMS = ['none', 'uppercase', 'lowercase', 'title'];
+    const TEXT_PATHS = ['none', 'arc', 'quad', 'cubic'];
+    const STYLE_FIELDS = [
+        { id: 'font-weight', prop: 'fontWeight', type: 'number', min: 100, max: 900 },
+        { id: 'font-italic', prop: 'italic', type: 'bool' },
+        { id: 'small-caps', prop: 'smallCaps', type: 'bool' },
+        { id: 'text-transform', prop: 'textTransform', type: 'select', values: TEXT_TRANSFORMS },
+        { id: 'letter-spacing', prop: 'letterSpacing', type: 'percent', min: -0.5, max: 2 },
+        { id: 'word-spacing', prop: 'wordSpacing', type: 'percent', min: -0.5, max: 4 },
+        { id: 'text-path', prop: 'textPath', type: 'select', values: TEXT_PATHS },
+        { id: 'arc-radius', prop: 'arcRadius', type: 'number', min: 10, max: 20000 },
+        { id: 'arc-start', prop: 'arcStart', type: 'number', min: -360, max: 360 },
+        { id: 'arc-direction', prop: 'arcDirection', type: 'select', values: ['cw', 'ccw'] },
+        { id: 'stroke-on', prop: 'stroke', type: 'bool' },
+        { id: 'stroke-color', prop: 'strokeColor', type: 'color' },
+        { id: 'stroke-width', prop: 'strokeWidth', type: 'number', min: 0, max: 200 },
+        { id: 'stroke-join', prop: 'strokeJoin', type: 'select', values: ['round', 'miter', 'bevel'] },
+        { id: 'shadow-on', prop: 'shadow', type: 'bool' },
+        { id: 'shadow-color', prop: 'shadowColor', type: 'color' },
+        { id: 'shadow-opacity', prop: 'shadowOpacity', type: 'percent' },
+        { id: 'shadow-x', prop: 'shadowOffsetX', type: 'number', min: -500, max: 500 },
+        { id: 'shadow-y', prop: 'shadowOffsetY', type: 'number', min: -500, max: 500 },
+        { id: 'shadow-blur', prop: 'shadowBlur', type: 'number', min: 0, max: 300 },
+        { id: 'glow-on', prop: 'glow', type: 'bool' },
+        { id: 'glow-color', prop: 'glowColor', type: 'color' },
+        { id: 'glow-size', prop: 'glowSize', type: 'number', min: 0, max: 300 },
+        { id: 'plate-on', prop: 'plate', type: 'bool' },
+        { id: 'plate-color', prop: 'plateColor', type: 'color' },
+        { id: 'plate-opacity', prop: 'plateOpacity', type: 'percent' },
+        { id: 'plate-padding', prop: 'platePadding', type: 'number', min: 0, max: 500 },
+        { id: 'plate-radius', prop: 'plateRadius', type: 'number', min: 0, max: 500 },
+        { id: 'fill-type', prop: 'fillType', type: 'select', values: FILL_TYPES },
+        { id: 'fill-angle', prop: 'fillAngle', type: 'number', min: -360, max: 360 },
+        { id: 'pattern-scale', prop: 'patternScale', type: 'number', min: 5, max: 1000 },
+        { id: 'item-opacity', prop: 'opacity', type: 'percent' },
+        { id: 'rotation', prop: 'rotation', type: 'number', min: -360, max: 360 },
+        { id: 'scale-x', prop: 'scaleX', type: 'percent', min: 0.05, max: 20 },
+        { id: 'scale-y', prop: 'scaleY', type: 'percent', min: 0.05, max: 20 },
+        { id: 'skew-x', prop: 'skewX', type: 'number', min: -80, max: 80 },
+        { id: 'skew-y', prop: 'skewY', type: 'number', min: -80, max: 80 }
+    ];
+
+    // Shape layers are filled with `color` and outlined with the `stroke*`
+    // properties above; these fields hold what only shapes have. Width,
+    // height and corner radius are local pixels (before the item transform).
+    const SHAPE_KINDS = ['rect', 'roundrect', 'ellipse', 'line', 'arrow'];
+    const SHAPE_FIELDS = [
+        { id: 'shape-kind', prop: 'shape', type: 'select', values: SHAPE_KINDS },
+        { id: 'shape-fill', prop: 'fill', type: 'bool' },
+        { id: 'shape-width', prop: 'width', type: 'number', min: 1, max: 20000 },
+        { id: 'shape-height', prop: 'height', type: 'number', min: 1, max: 20000 },
+        { id: 'corner-radius', prop: 'cornerRadius', type: 'number', min: 0, max: 2000 }
+    ];
+
+    // In/out animations for short animated titles, available on every kind
+    // of layer. `animIn` / `animOut` pick the effect and `animInDuration` /
+    // `animOutDuration` its length in seconds; `animStart` is when the item
+    // starts coming in and `animEnd` when it is fully gone (0 = the end of
+    // the clip). `animEdge` is the canvas edge a slide comes from and leaves
+    // to. Items without them stay on screen for the whole clip; the clip
+    // length and frame rate are export settings (see "Animated titles").
+    const ANIMATIONS = ['none', 'fade', 'slide', 'pop', 'typewriter'];
+    const ANIM_DEFAULTS = { animIn: 'none', animInDuration: 0.5, animOut: 'none', animOutDuration: 0.5, animStart: 0, animEnd: 0, animEdge: 'left' };
+    const ANIM_FIELDS = [
+        { id: 'anim-in', prop: 'animIn', type: 'select', values: ANIMATIONS },
+        { id: 'anim-in-duration', prop: 'animInDuration', type: 'number', min: 0, max: 60 },
+        { id: 'anim-out', prop: 'animOut', type: 'select', values: ANIMATIONS },
+        { id: 'anim-out-duration', prop: 'animOutDuration', type: 'number', min: 0, max: 60 },
+        { id: 'anim-start', prop: 'animStart', type: 'number', min: 0, max: 600 },
+        { id: 'anim-end', prop: 'animEnd', type: 'number', min: 0, max: 600 },
+        { id: 'anim-edge', prop: 'animEdge', type: 'select', values: ['left', 'right', 'top', 'bottom'] }
+    ];
+
+    // Anchor corners (`align`) and paragraph alignments (`textAlign`) an item may use.
+    const ALIGN_VALUES = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+    const TEXT_ALIGN_VALUES = ['left', 'center', 'right'];
+
+    // styleDefaults() -> fresh copy of STYLE_DEFAULTS (its gradient stops are an array)
+    function styleDefaults() {
+        return JSON.parse(JSON.stringify(STYLE_DEFAULTS));
+    }
+
+    // imageDefaults() -> the optional properties of an image item
+    function imageDefaults() {
+        return { type: 'image', align: 'center', opacity: 1, rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0 };
+    }
+
+    // shapeDefaults() -> the properties of a shape item without a position
+    function shapeDefaults() {
+        return {
+            type: 'shape', shape: 'roundrect', width: 1200, height: 180, align: 'center', color: '#4458be', fill: true, cornerRadius: 24,
+            stroke: false, strokeColor: '#000000', strokeWidth: 8, strokeJoin: 'round', opacity: 1,
+            rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0
+        };
+    }
+
+    // normalizeItem(it) -> item with every optional property filled in, so
+    // projects saved before a property existed keep rendering as they did.
+    function normalizeItem(it) {
+        if (it.type === 'image') return Object.assign(imageDefaults(), JSON.parse(JSON.stringify(it)));
+        if (it.type === 'shape') return Object.assign(shapeDefaults(), JSON.parse(JSON.stringify(it)));
+        const out = Object.assign(styleDefaults(), JSON.parse(JSON.stringify(it)));
+        out.color = it.color || '#ffffff';
+        out.align = it.align || 'center';
+        out.textAlign = it.textAlign || defaultTextAlign(it.align);
+        out.lineHeight = it.lineHeight || 1.2;
+        out.maxWidth = it.maxWidth || 0;
+        return out;
+    }
+
+    // Paragraph alignment used when an item doesn't store one: follow the
+    // horizontal side of its anchor so older single-line items look unchanged.
+    function defaultTextAlign(align) {
+        if (align === 'top-left' || align === 'bottom-left') return 'left';
+        if (align === 'top-right' || align === 'bottom-right') return 'right';
+        return 'center';
+    }
+
+    // scaleItemBy(it, f): scale every pixel-sized property of an item by f.
+    function scaleItemBy(it, f) {
+        if (it.type === 'shape') {
+            for (const prop of ['width', 'height', 'strokeWidth', 'cornerRadius']) it[prop] *= f;
+            return;
+        }
+        if (it.type === 'image') {
+            // images keep their pixel data; the change goes into their scale
+            it.scaleX = (it.scaleX === undefined ? 1 : it.scaleX) * f;
+            it.scaleY = (it.scaleY === undefined ? 1 : it.scaleY) * f;
+            return;
+        }
+        for (const prop of ['size', 'maxWidth', 'strokeWidth', 'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'glowSize', 'platePadding', 'plateRadius', 'arcRadius']) {
+            if (typeof it[prop] === 'number') it[prop] *= f;
+        }
+        if (Array.isArray(it.pathPoints)) it.pathPoints = it.pathPoints.map(p => ({ x: p.x * f, y: p.y * f }));
+        it.size = clamp(Math.round(it.size * 100) / 100, 1, 4000);
+        for (const r of it.runs || []) {
+            if (r.size) r.size = clamp(Math.round(r.size * f * 100) / 100, 1, 4000);
+            if (r.baselineShift) r.baselineShift *= f;
+        }
+    }
+
+    /**
+     * clamp(value, min, max) -> number
+     * Small utility to clamp numeric values (used for font-size bounds and safety checks).
+     */
+    function clamp(v, a, b) {
+        return Math.min(Math.max(v, a), b);
+    }
+
+    // hexToRgb('#rgb' | '#rrggbb') -> { r, g, b } (black when missing)
+    function hexToRgb(hex) {
+        if (!hex) return { r: 0, g: 0, b: 0 };
+        let h = hex.replace('#', '');
+        if (h.length === 3) h = h.split('').map(c => c + c).join('');
+        const int = parseInt(h, 16);
+        return { r: (int >> 16) & 255, g: (int >> 8) & 255, b: int & 255 };
+    }
+
+    // colorWithAlpha('#rrggbb', a) -> 'rgba(...)'
+    function colorWithAlpha(hex, alpha) {
+        const { r, g, b } = hexToRgb(hex || '#000000');
+        return `rgba(${r}, ${g}, ${b}, ${clamp(alpha === undefined ? 1 : alpha, 0, 1)})`;
+    }
+
+    // itemOpacity(it) -> 0..1 (items saved before opacity existed are opaque)
+    function itemOpacity(it) {
+        return it.opacity === undefined ? 1 : clamp(it.opacity, 0, 1);
+    }
+
+    // Helper: map a friendly family name to a CSS font-family string with fallbacks.
+    // This gives the canvas and preview a reasonable fallback if a font is missing.
+    function fontFamilyToCSS(name) {
+        const map = {
+            'Roboto': "'Roboto', Arial, sans-serif",
+            'Montserrat': "'Montserrat', 'Helvetica Neue', Arial, sans-serif",
+            'Lora': "'Lora', serif",
+            'Oswald': "'Oswald', Arial, sans-serif",
+            'Poppins': "'Poppins', Arial, sans-serif",
+            'Playfair Display': "'Playfair Display', serif",
+            'Merriweather': "'Merriweather', serif",
+            'Open Sans': "'Open Sans', Arial, sans-serif",
+            'Bebas Neue': "'Bebas Neue', Arial, sans-serif",
+            'Pacifico': "'Pacifico', cursive",
+            'Lobster': "'Lobster', cursive",
+            'Permanent Marker': "'Permanent Marker', cursive",
+            'Indie Flower': "'Indie Flower', cursive",
+            'Fredoka One': "'Fredoka One', 'Arial', sans-serif",
+            'Gloria Hallelujah': "'Gloria Hallelujah', cursive",
+            'Amatic SC': "'Amatic SC', cursive",
+            'Shadows Into Light': "'Shadows Into Light', cursive",
+            'Bangers': "'Bangers', 'Arial', sans-serif",
+            'Chewy': "'Chewy', cursive",
+            'Playball': "'Playball', cursive",
+            'Caveat': "'Caveat', cursive",
+            'Raleway': "'Raleway', Arial, sans-serif",
+            'Nunito': "'Nunito', Arial, sans-serif",
+            'Quicksand': "'Quicksand', Arial, sans-serif",
+            'Fira Sans': "'Fira Sans', Arial, sans-serif",
+            'Anton': "'Anton', Arial, sans-serif",
+            'Comfortaa': "'Comfortaa', Arial, sans-serif",
+            'Inter': "'Inter', Arial, sans-serif",
+            'Noto Sans': "'Noto Sans', Arial, sans-serif",
+            'Ubuntu': "'Ubuntu', Arial, sans-serif",
+            'Cabin': "'Cabin', Arial, sans-serif",
+            'Kanit': "'Kanit', Arial, sans-serif",
+            'Work Sans': "'Work Sans', Arial, sans-serif",
+            'Rubik': "'Rubik', Arial, sans-serif",
+            'DM Sans': "'DM Sans', Arial, sans-serif",
+            'Space Grotesk': "'Space Grotesk', Arial, sans-serif",
+            'Karla': "'Karla', Arial, sans-serif",
+            'Overpass': "'Overpass', Arial, sans-serif",
+            'Arial': "Arial, Helvetica, sans-serif",
+            'Helvetica': "'Helvetica Neue', Helvetica, Arial, sans-serif",
+            'Times New Roman': "'Times New Roman', Times, serif",
+            'Georgia': "Georgia, 'Times New Roman', Times, serif",
+            'Courier New': "'Courier New', Courier, monospace",
+            'Verdana': "Verdana, Geneva, sans-serif",
+            'Trebuchet MS': "'Trebuchet MS', Helvetica, sans-serif",
+            'Impact': "Impact, Charcoal, sans-serif",
+            'Comic Sans MS': "'Comic Sans MS', 'Comic Sans', cursive",
+            'Papyrus': "Papyrus, 'Times New Roman', serif",
+            'Serif': 'serif',
+            'Sans-serif': 'sans-serif'
+        };
+        return map[name] || `'${name}', sans-serif`;
+    }
+
+    // itemFont(it) -> CSS font shorthand for an item (style, caps, weight, size, family)
+    function itemFont(it) {
+        const style = it.italic ? 'italic ' : '';
+        const caps = it.smallCaps ? 'small-caps ' : '';
+        return `${style}${caps}${it.fontWeight || 400} ${it.size}px ${fontFamilyToCSS(it.family)}`;
+    }
+
+    /**
+     * applyItemFont(c, it)
+     * Set the font and spacing of an item on a 2D context. Spacing uses the
+     * context's `letterSpacing`/`wordSpacing`, so measureText() includes it;
+     * browsers without them fall back to default spacing for both drawing
+     * and measuring, keeping bounds and pixels in agreement.
+     */
+    function applyItemFont(c, it) {
+        c.font = itemFont(it);
+        if ('letterSpacing' in c) c.letterSpacing = `${(it.letterSpacing || 0) * it.size}px`;
+        if ('wordSpacing' in c) c.wordSpacing = `${(it.wordSpacing || 0) * it.size}px`;
+    }
+
+    // transformText(text, mode) -> text with the item's case transform applied
+    function transformText(text, mode) {
+        switch (mode) {
+            case 'uppercase': return text.toLocaleUpperCase();
+            case 'lowercase': return text.toLocaleLowerCase();
+            // like CSS `capitalize`: first letter of every word, the rest untouched
+            case 'title': return text.replace(/(^|[\s\-("'\[])(\p{L})/gu, (m, before, letter) => before + letter.toLocaleUpperCase());
+            default: return text;
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Styled runs
+    // ---------------------------------------------------------------------
+
+    // A text item may carry `runs`: [{ start, end, family?, fontWeight?,
+    // size?, color?, baselineShift? }], character ranges of `text` (before
+    // the case transform) that override the item's font, weight, size (px),
+    // color or baseline shift (px, positive raises). Runs are sorted, never
+    // overlap and always carry at least one override; characters outside
+    // every run use the item's own style. All pieces of a line share one
+    // baseline (see measureTextBounds()).
+    const RUN_PROPS = ['family', 'fontWeight', 'size', 'color', 'baselineShift'];
+
+    function hasRuns(it) {
+        return Array.isArray(it.runs) && it.runs.length > 0;
+    }
+
+    // runStyle(r) -> just the overrides of a run, in RUN_PROPS order
+    function runStyle(r) {
+        const style = {};
+        for (const prop of RUN_PROPS) {
+            if (r[prop] !== undefined) style[prop] = r[prop];
+        }
+        return style;
+    }
+
+    // runSegments(text, runs) -> [{ start, end, style }] covering the whole
+    // text, split at run edges (`style` is {} outside the runs)
+    function runSegments(text, runs = []) {
+        const segs = [];
+        let pos = 0;
+        for (const r of runs) {
+            if (r.start > pos) segs.push({ start: pos, end: r.start, style: {} });
+            segs.push({ start: r.start, end: r.end, style: runStyle(r) });
+            pos = r.end;
+        }
+        if (pos < text.length || !segs.length) segs.push({ start: pos, end: text.length, style: {} });
+        return segs;
+    }
+
+    // compactRuns(segs) -> runs without the empty and unstyled segments,
+    // neighbours with the same style merged
+    function compactRuns(segs) {
+        const runs = [];
+        for (const seg of segs) {
+            if (seg.end <= seg.start || !Object.keys(seg.style).length) continue;
+            const last = runs[runs.length - 1];
+            if (last && last.end === seg.start && JSON.stringify(runStyle(last)) === JSON.stringify(seg.style)) last.end = seg.end;
+            else runs.push(Object.assign({ start: seg.start, end: seg.end }, seg.style));
+        }
+        return runs;
+    }
+
+    // styleRange(text, runs, start, end, style) -> runs with the characters
+    // start..end set to exactly the overrides in `style` ({} clears them)
+    function styleRange(text, runs, start, end, style) {
+        const own = runStyle(style);
+        const segs = [];
+        for (const seg of runSegments(text, runs)) {
+            const cuts = [[seg.start, Math.min(seg.end, start)], [Math.max(seg.start, start), Math.min(seg.end, end)], [Math.max(seg.start, end), seg.end]];
+            for (const [a, b] of cuts) {
+                if (b > a) segs.push({ start: a, end: b, style: a >= start && b <= end ? own : seg.style });
+            }
+        }
+        return compactRuns(segs);
+    }
+
+    // validRuns(runs, length) -> whether `runs` fits a text of `length` characters
+    function validRuns(runs, length) {
+        if (!Array.isArray(runs)) return false;
+        let pos = 0;
+        for (const r of runs) {
+            if (!r || !Number.isInteger(r.start) || !Number.isInteger(r.end) || r.start < pos || r.end <= r.start || r.end > length) return false;
+            if (r.family !== undefined && (typeof r.family !== 'string' || !r.family)) return false;
+            if (r.fontWeight !== undefined && !(Number.isInteger(r.fontWeight) && r.fontWeight >= 1 && r.fontWeight <= 1000)) return false;
+            if (r.size !== undefined && !(r.size > 0)) return false;
+            if (r.color !== undefined && typeof r.color !== 'string') return false;
+            if (r.baselineShift !== undefined && !Number.isFinite(r.baselineShift)) return false;
+            pos = r.end;
+        }
+        return true;
+    }
+
+    /**
+     * spliceRuns(runs, at, removed, inserted) -> runs
+     * Follow a text edit that replaced `removed` characters at `at` with
+     * `inserted` new ones. Text typed right after a run continues its style,
+     * as in a word processor; runs whose characters were all removed go.
+     */
+    function spliceRuns(runs, at, removed, inserted) {
+        const mapStart = p => (p < at ? p : p < at + removed ? at + inserted : p - removed + inserted);
+        const mapEnd = p => (p < at ? p : p <= at + removed ? at + inserted : p - removed + inserted);
+        return compactRuns(runs.map(r => ({ start: mapStart(r.start), end: r.start < at || r.end > at + removed ? mapEnd(r.end) : mapStart(r.start), style: runStyle(r) })));
+    }
+
+    // adjustRunsForEdit(runs, before, after) -> runs following a change of the
+    // item's text, found as the span between the common prefix and suffix
+    function adjustRunsForEdit(runs, before, after) {
+        let head = 0;
+        while (head < before.length && head < after.length && before[head] === after[head]) head++;
+        let tail = 0;
+        while (tail < before.length - head && tail < after.length - head &&
+            before[before.length - 1 - tail] === after[after.length - 1 - tail]) tail++;
+        return spliceRuns(runs, head, before.length - head - tail, after.length - head - tail);
+    }
+
+    // setRuns(it, runs): store runs on an item, dropping the property when there are none
+    function setRuns(it, runs) {
+        if (runs.length) it.runs = runs;
+        else delete it.runs;
+    }
+
+    /**
+     * styledSegments(it) -> [{ text, style, own }]
+     * The item's text split at run edges, each piece after the case
+     * transform. `style` is the item with the run's overrides applied (what
+     * applyItemFont() reads) and `own` just the overrides.
+     */
+    function styledSegments(it) {
+        const text = String(it.text);
+        return runSegments(text, hasRuns(it) ? it.runs : []).map((seg) => {
+            // the previous character keeps title case from capitalizing mid-word run starts
+            const prev = text.slice(Math.max(0, seg.start - 1), seg.start);
+            const shown = transformText(prev + text.slice(seg.start, seg.end), it.textTransform).slice(transformText(prev, it.textTransform).length);
+            const own = seg.style;
+            return { text: shown, style: Object.keys(own).length ? Object.assign({}, it, own) : it, own };
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Text on a path
+    // ---------------------------------------------------------------------
+
+    // `textPath` lays a text item's glyphs along a curve instead of in
+    // lines. 'arc' follows a circle of `arcRadius` around the anchor point,
+    // with the text's alignment point at `arcStart` degrees (0 = top,
+    // clockwise); `arcDirection` 'cw' reads clockwise with the glyphs outside
+    // the circle, 'ccw' counter-clockwise with them inside (the bottom of a
+    // badge). 'quad' and 'cubic' follow a bezier through `pathPoints`, 3 or
+    // 4 local { x, y } points dragged on the canvas; items without their own
+    // get an arch as wide as the text. The paragraph alignment puts the text
+    // at the start, middle or end of the curve. Path text is one line: line
+    // breaks become spaces and the wrap width is ignored.
+    const PATH_POINT_COUNT = { quad: 3, cubic: 4 };
+    const PATH_SAMPLES = 64; // straight segments a bezier is measured with
+
+    function isPathText(it) {
+        return it.type !== 'image' && it.type !== 'shape' && (it.textPath === 'arc' || !!PATH_POINT_COUNT[it.textPath]);
+    }
+
+    // pathPointsOf(it, advance) -> the item's bezier control points, or a
+    // default arch a little wider than `advance` (the text's length)
+    function pathPointsOf(it, advance) {
+        const count = PATH_POINT_COUNT[it.textPath];
+        if (Array.isArray(it.pathPoints) && it.pathPoints.length === count) return it.pathPoints;
+        const w = Math.max(advance * 1.1, it.size * 2);
+        if (count === 3) return [{ x: -w / 2, y: 0 }, { x: 0, y: -w / 3 }, { x: w / 2, y: 0 }];
+        return [{ x: -w / 2, y: 0 }, { x: -w / 6, y: -w / 4 }, { x: w / 6, y: -w / 4 }, { x: w / 2, y: 0 }];
+    }
+
+    // bezierPoint(pts, t) -> {x,y} on a quadratic (3 points) or cubic (4) bezier
+    function bezierPoint(pts, t) {
+        const u = 1 - t;
+        const w = pts.length === 3 ? [u * u, 2 * u * t, t * t] : [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+        return {
+            x: pts.reduce((sum, p, i) => sum + p.x * w[i], 0),
+            y: pts.reduce((sum, p, i) => sum + p.y * w[i], 0)
+        };
+    }
+
+    /**
+     * pathWalker(it, points) -> { length, at(s) -> {x, y, angle} }
+     * The point `s` local pixels along the item's arc or bezier and the
+     * direction of travel there (radians). A bezier is measured as a
+     * polyline; distances past its ends continue along the end tangents.
+     */
+    function pathWalker(it, points) {
+        if (it.textPath === 'arc') {
+            const r = Math.max(1, it.arcRadius || 1);
+            const dir = it.arcDirection === 'ccw' ? -1 : 1;
+            const start = (it.arcStart || 0) * Math.PI / 180;
+            return {
+                length: 2 * Math.PI * r,
+                at(s) {
+                    const a = start + dir * s / r;
+                    return { x: r * Math.sin(a), y: -r * Math.cos(a), angle: dir > 0 ? a : a + Math.PI };
+                }
+            };
+        }
+        const samples = [];
+        let length = 0;
+        for (let i = 0; i <= PATH_SAMPLES; i++) {
+            const p = bezierPoint(points, i / PATH_SAMPLES);
+            if (i) length += Math.hypot(p.x - samples[i - 1].x, p.y - samples[i - 1].y);
+            samples.push({ x: p.x, y: p.y, s: length });
+        }
+        return {
+            length,
+            at(s) {
+                let i = 1;
+                while (i < PATH_SAMPLES && samples[i].s < s) i++;
+                const a = samples[i - 1];
+                const b = samples[i];
+                const f = (s - a.s) / (b.s - a.s || 1);
+                return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+            }
+        };
+    }
+
+    // hitsGlyph(p, x, y, pad): whether the local point lies on a path glyph
+    // (its box grown by `pad`)
+    function hitsGlyph(p, x, y, pad) {
+        const cos = Math.cos(p.angle);
+        const sin = Math.sin(p.angle);
+        const gx = (x - p.x) * cos + (y - p.y) * sin;
+        const gy = (y - p.y) * cos - (x - p.x) * sin;
+        return gx >= -pad && gx <= p.width + pad && gy >= -p.ascent - pad && gy <= p.descent + pad;
+    }
+
+    // ---------------------------------------------------------------------
+    // Geometry
+    // ---------------------------------------------------------------------
+
+    /**
+     * anchorBox(align, width, height) -> {left,top,right,bottom}
+     * Place a width×height block in the item's local space, relative to its
+     * anchor point (the origin) according to the `align` corner.
+     */
+    function anchorBox(align, width, height) {
+        let left, top;
+        switch (align) {
+            case 'top-left':
+                left = 0;
+                top = 0;
+                break;
+            case 'top-right':
+                left = -width;
+                top = 0;
+                break;
+            case 'bottom-left':
+                left = 0;
+                top = -height;
+                break;
+            case 'bottom-right':
+                left = -width;
+                top = -height;
+                break;
+            case 'center':
+            default:
+                // default == center-like box
+                left = -width / 2;
+                top = -height / 2;
+        }
+        return { left, top, right: left + width, bottom: top + height };
+    }
+
+    /**
+     * itemMatrix(it) -> [a, b, c, d, e, f]
+     * The item's local-to-canvas transform in canvas `setTransform()` order:
+     * translate to the anchor, rotate, skew, then scale. Must stay in step
+     * with the `ctx.translate/rotate/transform/scale` calls in drawTextItem()
+     * (drawImageItem() applies this matrix directly).
+     */
+    function itemMatrix(it) {
+        const r = (it.rotation || 0) * Math.PI / 180;
+        const kx = Math.tan((it.skewX || 0) * Math.PI / 180);
+        const ky = Math.tan((it.skewY || 0) * Math.PI / 180);
+        const sx = it.scaleX === undefined ? 1 : it.scaleX;
+        const sy = it.scaleY === undefined ? 1 : it.scaleY;
+        const cos = Math.cos(r);
+        const sin = Math.sin(r);
+        return [
+            (cos - sin * ky) * sx,
+            (sin + cos * ky) * sx,
+            (cos * kx - sin) * sy,
+            (sin * kx + cos) * sy,
+            it.x,
+            it.y
+        ];
+    }
+
+    // applyMatrix(m, x, y) -> {x,y}
+    function applyMatrix(m, x, y) {
+        return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+    }
+
+    // invertMatrix(m) -> inverse affine matrix (identity if degenerate)
+    function invertMatrix(m) {
+        const det = m[0] * m[3] - m[1] * m[2];
+        if (!det) return [1, 0, 0, 1, -m[4], -m[5]];
+        return [
+            m[3] / det,
+            -m[1] / det,
+            -m[2] / det,
+            m[0] / det,
+            (m[2] * m[5] - m[3] * m[4]) / det,
+            (m[1] * m[4] - m[0] * m[5]) / det
+        ];
+    }
+
+    // Average absolute scale of an item, used to convert canvas-pixel effect
+    // sizes (glow, shadow blur) into the item's local units.
+    function itemScale(it) {
+        const sx = Math.abs(it.scaleX === undefined ? 1 : it.scaleX);
+        const sy = Math.abs(it.scaleY === undefined ? 1 : it.scaleY);
+        return Math.max(0.01, (sx + sy) / 2);
+    }
+
+    // corners(m, box) -> the four canvas-space corners of a local box
+    function corners(m, box) {
+        return [
+            applyMatrix(m, box.left, box.top),
+            applyMatrix(m, box.right, box.top),
+            applyMatrix(m, box.right, box.bottom),
+            applyMatrix(m, box.left, box.bottom)
+        ];
+    }
+
+    // boundsOfPoints(points, dx, dy) -> axis-aligned box around points shifted by (dx,dy)
+    function boundsOfPoints(points, dx = 0, dy = 0) {
+        const xs = points.map(p => p.x + dx);
+        const ys = points.map(p => p.y + dy);
+        return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+    }
+
+    // gradientGeometry(it, box) -> linear end points {x0,y0,x1,y1} and radial
+    // center/radius {cx,cy,r} spanning the item's local text box.
+    function gradientGeometry(it, box) {
+        const w = box.right - box.left;
+        const h = box.bottom - box.top;
+        const cx = box.left + w / 2;
+        const cy = box.top + h / 2;
+        const a = (it.fillAngle || 0) * Math.PI / 180;
+        const dx = Math.cos(a);
+        const dy = Math.sin(a);
+        // half the box's extent along the gradient direction
+        const ext = Math.abs(w / 2 * dx) + Math.abs(h / 2 * dy);
+        return {
+            x0: cx - dx * ext, y0: cy - dy * ext, x1: cx + dx * ext, y1: cy + dy * ext,
+            cx, cy, r: Math.max(w, h) / 2 || 1
+        };
+    }
+
+    // arrowHead(it, box) -> { base, points } of an arrow pointing right: the
+    // x where the shaft ends and the triangle's corners
+    function arrowHead(it, box) {
+        const h = box.bottom - box.top;
+        const len = Math.min(h, (box.right - box.left) / 2);
+        const base = box.right - len;
+        return {
+            base,
+            points: [{ x: base, y: box.top }, { x: box.right, y: (box.top + box.bottom) / 2 }, { x: base, y: box.bottom }]
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Project files
+    // ---------------------------------------------------------------------
+
+    // A project is a small versioned JSON document:
+    // { format: 'igroovie', version, savedAt, canvas: { width, height }, fonts: [...], items: [...], history? }
+    // Bump PROJECT_VERSION when the shape changes and teach migrateProject() to upgrade.
+    const PROJECT_FORMAT = 'igroovie';
+    const PROJECT_VERSION = 1;
+    // Undo/redo command types a saved history may contain (see igroovie.js).
+    const COMMAND_TYPES = ['props', 'insert', 'remove', 'reorder', 'replace', 'batch'];
+
+    /**
+     * migrateProject(data) -> object
+     * Upgrade an older project document to the current version. Throws when
+     * the version is missing, unknown or newer than this build understands.
+     */
+    function migrateProject(data) {
+        const v = data.version;
+        if (typeof v !== 'number' || !Number.isInteger(v) || v < 1) {
+            throw new Error(`Unsupported project version: ${JSON.stringify(v)}.`);
+        }
+        if (v > PROJECT_VERSION) {
+            throw new Error(`This project was saved by a newer version of iGroovie (version ${v}; this page understands up to ${PROJECT_VERSION}). Reload the page to update.`);
+        }
+        return data;
+    }
+
+    // isObject(v): a plain JSON object (not null, not a list)
+    function isObject(v) {
+        return !!v && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    // isCanvasSide(v): a whole number of pixels a canvas side may have
+    function isCanvasSide(v) {
+        return Number.isInteger(v) && v >= MIN_CANVAS_SIDE && v <= MAX_CANVAS_SIDE;
+    }
+
+    /**
+     * itemErrors(it, where, partial) -> problems found in one item ([] when fine)
+     * With `partial` only the properties present are checked, as for the
+     * before/after values of a property change in a saved history.
+     */
+    function itemErrors(it, where, partial = false) {
+        if (!isObject(it)) return [`${where}: must be an object.`];
+        const errors = [];
+        const need = prop => !partial || it[prop] !== undefined;
+        const kind = partial ? null : it.type === undefined ? 'text' : it.type;
+        if ((need('x') && !Number.isFinite(it.x)) || (need('y') && !Number.isFinite(it.y))) errors.push(`${where}: "x" and "y" must be numbers.`);
+        if (it.type !== undefined && !['text', 'image', 'shape'].includes(it.type)) {
+            errors.push(`${where}: unknown "type" value ${JSON.stringify(it.type)}.`);
+        }
+        if ((kind === 'image' || (partial && it.src !== undefined)) && (typeof it.src !== 'string' || !it.src.startsWith('data:image/'))) {
+            errors.push(`${where}: "src" must be an image data URL.`);
+        }
+        if (kind === 'shape' || (partial && it.shape !== undefined)) {
+            if (!SHAPE_KINDS.includes(it.shape)) errors.push(`${where}: unknown "shape" value ${JSON.stringify(it.shape)}.`);
+        }
+        if ((kind === 'image' || kind === 'shape' || partial) && ((need('width') && !(it.width > 0)) || (need('height') && !(it.height > 0)))) {
+            errors.push(`${where}: "width" and "height" must be positive numbers.`);
+        }
+        if (kind === 'text' || partial) {
+            if (need('text') && typeof it.text !== 'string') errors.push(`${where}: "text" must be a string.`);
+            if (need('size') && (!Number.isFinite(it.size) || it.size <= 0)) errors.push(`${where}: "size" must be a positive number.`);
+            if (need('family') && (typeof it.family !== 'string' || !it.family)) errors.push(`${where}: "family" must be a font name.`);
+            if (it.runs !== undefined && !validRuns(it.runs, partial ? Infinity : String(it.text).length)) {
+                errors.push(`${where}: "runs" must be sorted, non-overlapping { start, end } ranges of the text with valid styles.`);
+            }
+        }
+        if (it.color !== undefined && typeof it.color !== 'string') errors.push(`${where}: "color" must be a CSS color string.`);
+        if (it.align !== undefined && !ALIGN_VALUES.includes(it.align)) errors.push(`${where}: unknown "align" value ${JSON.stringify(it.align)}.`);
+        if (it.textAlign !== undefined && !TEXT_ALIGN_VALUES.includes(it.textAlign)) errors.push(`${where}: unknown "textAlign" value ${JSON.stringify(it.textAlign)}.`);
+        if (it.lineHeight !== undefined && !(it.lineHeight > 0)) errors.push(`${where}: "lineHeight" must be a positive number.`);
+        if (it.maxWidth !== undefined && !(it.maxWidth >= 0)) errors.push(`${where}: "maxWidth" must be zero or a positive number.`);
+        if (it.fillStops !== undefined && !(Array.isArray(it.fillStops) && it.fillStops.every(st =>
+            st && Number.isFinite(st.offset) && typeof st.color === 'string' && (st.alpha === undefined || Number.isFinite(st.alpha))))) {
+            errors.push(`${where}: "fillStops" must be a list of { offset, color, alpha } stops.`);
+        }
+        if (it.fillPattern !== undefined && !(it.fillPattern === '' || (typeof it.fillPattern === 'string' && it.fillPattern.startsWith('data:image/')))) {
+            errors.push(`${where}: "fillPattern" must be an image data URL.`);
+        }
+        if (it.pathPoints !== undefined && !(Array.isArray(it.pathPoints) && (it.pathPoints.length === 3 || it.pathPoints.length === 4) &&
+            it.pathPoints.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y)))) {
+            errors.push(`${where}: "pathPoints" must be a list of 3 or 4 { x, y } points.`);
+        }
+        if (it.name !== undefined && typeof it.name !== 'string') errors.push(`${where}: "name" must be a string.`);
+        if (it.group !== undefined && (typeof it.group !== 'string' || !it.group)) errors.push(`${where}: "group" must be a group id string.`);
+        for (const flag of ['hidden', 'locked']) {
+            if (it[flag] !== undefined && typeof it[flag] !== 'boolean') errors.push(`${where}: "${flag}" must be true or false.`);
+        }
+        for (const c of STYLE_FIELDS.concat(SHAPE_FIELDS, ANIM_FIELDS)) {
+            const v = it[c.prop];
+            if (v === undefined) continue;
+            const ok = c.type === 'bool' ? typeof v === 'boolean'
+                : c.type === 'color' ? typeof v === 'string'
+                    : c.type === 'select' ? c.values.includes(v)
+                        : Number.isFinite(v);
+            if (!ok) errors.push(`${where}: invalid "${c.prop}" value ${JSON.stringify(v)}.`);
+        }
+        return errors;
+    }
+
+    /**
+     * historyErrors(h) -> problems found in a saved undo/redo history ([] when fine)
+     * Every step must have the shape its type is applied with (see
+     * applyCommand() in igroovie.js), and the items it carries must pass
+     * the same checks as the composition's.
+     */
+    function historyErrors(h) {
+        if (!isObject(h) || !Array.isArray(h.done) || !Array.isArray(h.undone)) return ['"history" must be { "done": [...], "undone": [...] }.'];
+        const errors = [];
+        const isIndex = v => Number.isInteger(v) && v >= 0;
+        const itemStepErrors = (st, where) => (isIndex(st.index) ? [] : [`${where}: "index" must be a whole number.`]).concat(itemErrors(st.item, `${where} item`));
+        h.done.concat(h.undone).forEach((cmd, i) => {
+            const where = `Step ${i + 1}`;
+            if (!isObject(cmd) || !COMMAND_TYPES.includes(cmd.type) || typeof cmd.label !== 'string') {
+                errors.push(`${where}: needs a known "type" and a "label".`);
+                return;
+            }
+            switch (cmd.type) {
+                case 'props':
+                    if (!Array.isArray(cmd.changes) || !cmd.changes.every(ch => isObject(ch) && isIndex(ch.index) && isObject(ch.before) && isObject(ch.after))) {
+                        errors.push(`${where}: "changes" must be a list of { index, before, after }.`);
+                        break;
+                    }
+                    for (const ch of cmd.changes) {
+                        errors.push(...itemErrors(ch.before, `${where} (before)`, true), ...itemErrors(ch.after, `${where} (after)`, true));
+                    }
+                    break;
+                case 'insert':
+                case 'remove':
+                    errors.push(...itemStepErrors(cmd, where));
+                    break;
+                case 'reorder':
+                    if (!isIndex(cmd.from) || !isIndex(cmd.to)) errors.push(`${where}: "from" and "to" must be whole numbers.`);
+                    break;
+                case 'replace':
+                    for (const side of ['before', 'after']) {
+                        const snap = cmd[side];
+                        if (!isObject(snap) || !Array.isArray(snap.items) || !isCanvasSide(snap.width) || !isCanvasSide(snap.height)) {
+                            errors.push(`${where}: "${side}" must be { items, width, height }.`);
+                            continue;
+                        }
+                        snap.items.forEach((it, k) => errors.push(...itemErrors(it, `${where} ${side}, item ${k + 1}`)));
+                    }
+                    break;
+                case 'batch':
+                    if (!Array.isArray(cmd.steps) || !cmd.steps.every(st => isObject(st) && (st.type === 'insert' || st.type === 'remove'))) {
+                        errors.push(`${where}: "steps" must be a list of insert and remove steps.`);
+                        break;
+                    }
+                    cmd.steps.forEach((st, k) => errors.push(...itemStepErrors(st, `${where}.${k + 1}`)));
+                    break;
+            }
+        });
+        return errors;
+    }
+
+    // normalizeHistory(h) -> copy of a checked history whose items are
+    // filled in like the composition's (see normalizeItem())
+    function normalizeHistory(h) {
+        const snap = s => ({ items: s.items.map(normalizeItem), width: s.width, height: s.height });
+        const step = (cmd) => {
+            if (cmd.type === 'insert' || cmd.type === 'remove') return Object.assign({}, cmd, { item: normalizeItem(cmd.item) });
+            if (cmd.type === 'replace') return Object.assign({}, cmd, { before: snap(cmd.before), after: snap(cmd.after) });
+            if (cmd.type === 'batch') return Object.assign({}, cmd, { steps: cmd.steps.map(step) });
+            return cmd;
+        };
+        return { done: h.done.map(step), undone: h.undone.map(step) };
+    }
+
+    /**
+     * validateProject(data) -> object
+     * Check a parsed project document and return a normalized copy. Every
+     * problem found is collected so the user sees the full list at once.
+     * A saved history that doesn't hold up is left out rather than failing
+     * the whole file; the copy's `warnings` then says so.
+     */
+    function validateProject(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Not an iGroovie project: expected a JSON object.');
+        }
+        if (data.format !== PROJECT_FORMAT) {
+            throw new Error(`Not an iGroovie project: "format" should be "${PROJECT_FORMAT}".`);
+        }
+        const project = Object.assign({}, migrateProject(data), { warnings: [] });
+        const errors = [];
+        const c = project.canvas;
+        if (!c || !isCanvasSide(c.width) || !isCanvasSide(c.height)) {
+            errors.push(`"canvas" must have a whole-number width and height between ${MIN_CANVAS_SIDE} and ${MAX_CANVAS_SIDE}.`);
+        }
+        if (project.fonts !== undefined && !Array.isArray(project.fonts)) {
+            errors.push('"fonts" must be a list of font family names.');
+        }
+        if (!Array.isArray(project.items)) {
+            errors.push('"items" must be a list.');
+        } else {
+            project.items.forEach((it, i) => errors.push(...itemErrors(it, `Item ${i + 1}`)));
+        }
+        if (errors.length) {
+            throw new Error(`This project file has problems:\n- ${errors.join('\n- ')}`);
+        }
+        if (project.history !== undefined) {
+            const problems = historyErrors(project.history);
+            if (problems.length) {
+                // the composition itself is fine; only Undo/Redo past the save is lost
+                delete project.history;
+                const shown = problems.slice(0, 5).concat(problems.length > 5 ? [`…and ${problems.length - 5} more.`] : []);
+                project.warnings.push(`The saved undo history could not be used and was left out:\n- ${shown.join('\n- ')}`);
+            } else {
+                project.history = normalizeHistory(project.history);
+            }
+        }
+        return project;
+    }
+
+    // ---------------------------------------------------------------------
+    // Templates and records
+    // ---------------------------------------------------------------------
+
+    // A template is a composition plus the canvas size it was laid out for:
+    // { name, width, height, items }. Built-in layouts are drawn for
+    // 1920×1080; see fitTemplate() for how a layout is fitted to a canvas.
+    const BUILTIN_TEMPLATES = [
+        {
+            name: 'Lower third — left', width: 1920, height: 1080, items: [
+                { type: 'shape', shape: 'rect', align: 'bottom-left', x: 96, y: 960, width: 720, height: 150, color: '#4458be', opacity: 0.92, name: 'Bar' },
+                { type: 'shape', shape: 'rect', align: 'bottom-left', x: 96, y: 960, width: 12, height: 150, color: '#ffffff', name: 'Accent' },
+                { text: 'Jane Doe', x: 136, y: 830, size: 60, family: 'Montserrat', fontWeight: 700, color: '#ffffff', align: 'top-left' },
+                { text: 'Title or role', x: 136, y: 904, size: 34, family: 'Montserrat', color: '#dfe4ff', align: 'top-left' }
+            ]
+        },
+        {
+            name: 'Lower third — right', width: 1920, height: 1080, items: [
+                { type: 'shape', shape: 'rect', align: 'bottom-right', x: 1824, y: 960, width: 720, height: 150, color: '#4458be', opacity: 0.92, name: 'Bar' },
+                { type: 'shape', shape: 'rect', align: 'bottom-right', x: 1824, y: 960, width: 12, height: 150, color: '#ffffff', name: 'Accent' },
+                { text: 'Jane Doe', x: 1784, y: 830, size: 60, family: 'Montserrat', fontWeight: 700, color: '#ffffff', align: 'top-right' },
+                { text: 'Title or role', x: 1784, y: 904, size: 34, family: 'Montserrat', color: '#dfe4ff', align: 'top-right' }
+            ]
+        },
+        {
+            name: 'Title + subtitle', width: 1920, height: 1080, items: [
+                { text: 'BIG TITLE', x: 960, y: 500, size: 160, family: 'Oswald', fontWeight: 700, color: '#ffffff', shadow: true, shadowOpacity: 0.5 },
+                { text: 'A subtitle goes here', x: 960, y: 630, size: 54, family: 'Lora', italic: true, color: '#dfe4ff' }
+            ]
+        },
+        {
+            name: 'Caption', width: 1920, height: 1080, items: [
+                { text: 'Caption text goes here', x: 960, y: 960, size: 44, family: 'Open Sans', color: '#ffffff', maxWidth: 1400,
+                    plate: true, plateColor: '#000000', plateOpacity: 0.6, platePadding: 18, plateRadius: 10 }
+            ]
+        },
+        {
+            name: 'Corner bug', width: 1920, height: 1080, items: [
+                { type: 'shape', shape: 'roundrect', align: 'top-right', x: 1856, y: 64, width: 150, height: 56, cornerRadius: 28, color: '#e53935', name: 'Badge' },
+                { text: 'LIVE', x: 1781, y: 92, size: 32, family: 'Montserrat', fontWeight: 700, letterSpacing: 0.1, color: '#ffffff' }
+            ]
+        },
+        {
+            name: 'End card', width: 1920, height: 1080, items: [
+                { text: 'Thanks for watching!', x: 960, y: 190, size: 96, family: 'Poppins', fontWeight: 700, color: '#ffffff' },
+                { type: 'shape', shape: 'roundrect', x: 560, y: 600, width: 640, height: 360, cornerRadius: 16, fill: false,
+                    stroke: true, strokeColor: '#ffffff', strokeWidth: 6, name: 'Video slot' },
+                { type: 'shape', shape: 'roundrect', x: 1360, y: 600, width: 640, height: 360, cornerRadius: 16, fill: false,
+                    stroke: true, strokeColor: '#ffffff', strokeWidth: 6, name: 'Video slot' },
+                { text: 'Watch next', x: 560, y: 600, size: 44, family: 'Poppins', color: '#cfd3e6' },
+                { text: 'Subscribe', x: 1360, y: 600, size: 44, family: 'Poppins', color: '#cfd3e6' }
+            ]
+        }
+    ];
+
+    // Any item whose text contains `{{field}}` placeholders is a template
+    // field, filled in from one record (a row of a CSV or JSON file).
+    const PLACEHOLDER_RE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+    // fillTemplate(text, record, extra) -> text with placeholders replaced.
+    // Unknown fields are left as-is so a missing column is visible in the preview.
+    function fillTemplate(text, record, extra = {}) {
+        return String(text).replace(PLACEHOLDER_RE, (match, key) => {
+            if (Object.prototype.hasOwnProperty.call(extra, key)) return extra[key];
+            if (record && Object.prototype.hasOwnProperty.call(record, key)) return String(record[key]);
+            return match;
+        });
+    }
+
+    // fillItemText(it, record) -> { text, runs? } with placeholders filled
+    // in; styled runs stretch or shrink with the values replacing them.
+    function fillItemText(it, record) {
+        const text = fillTemplate(it.text, record);
+        if (!hasRuns(it)) return { text };
+        let runs = it.runs;
+        // last match first, so earlier offsets stay valid
+        for (const m of Array.from(String(it.text).matchAll(PLACEHOLDER_RE)).reverse()) {
+            runs = spliceRuns(runs, m.index, m[0].length, fillTemplate(m[0], record).length);
+        }
+        return { text, runs };
+    }
+
+    /**
+     * parseCSV(text) -> { fields, records }
+     * RFC 4180 style: quoted values may contain delimiters, newlines and
+     * doubled quotes. The delimiter (comma, semicolon or tab) is guessed from
+     * the header row; the header names the fields.
+     */
+    function parseCSV(text) {
+        const src = String(text).replace(/^﻿/, '');
+        const header = src.split(/\r?\n/, 1)[0];
+        const delim = [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < src.length; i++) {
+            const c = src[i];
+            if (quoted) {
+                if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else field += c;
+            } else if (c === '"' && field === '') {
+                quoted = true;
+            } else if (c === delim) {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && src[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (quoted) throw new Error('The CSV file ends inside a quoted value.');
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+        if (nonEmpty.length < 2) throw new Error('The CSV file needs a header row and at least one data row.');
+        const fields = nonEmpty[0].map(h => h.trim());
+        if (fields.some(f => !f)) throw new Error('Every CSV column needs a header name.');
+        const records = nonEmpty.slice(1).map((r) => {
+            const rec = {};
+            fields.forEach((f, i) => { rec[f] = r[i] === undefined ? '' : r[i]; });
+            return rec;
+        });
+        return { fields, records };
+    }
+
+    /**
+     * parseRecordsJSON(text) -> { fields, records }
+     * Accepts an array of flat objects, or `{ "records": [...] }`.
+     */
+    function parseRecordsJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The file is not valid JSON.');
+        }
+        const list = Array.isArray(data) ? data : data && Array.isArray(data.records) ? data.records : null;
+        if (!list || !list.length) throw new Error('Expected a non-empty list of records (or { "records": [...] }).');
+        const fields = [];
+        const records = list.map((rec, i) => {
+            if (!rec || typeof rec !== 'object' || Array.isArray(rec)) throw new Error(`Record ${i + 1} is not an object.`);
+            const out = {};
+            for (const [k, v] of Object.entries(rec)) {
+                if (!fields.includes(k)) fields.push(k);
+                out[k] = v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+            }
+            return out;
+        });
+        return { fields, records };
+    }
+
+    // Create filename from current text input (sanitized). Falls back to 'igroovie'
+    function filenameFromText(s) {
+        if (!s) return 'igroovie';
+        let name = String(s).trim();
+        if (!name) return 'igroovie';
+        // Normalize and remove diacritics, replace spaces with dashes
+        name = name.normalize('NFKD').replace(/\p{Diacritic}/gu, '');
+        name = name.replace(/\s+/g, '-');
+        // Allow alphanumerics, dash and underscore only
+        name = name.replace(/[^A-Za-z0-9\-_]/g, '');
+        // Trim to reasonable length
+        if (name.length > 60) name = name.slice(0, 60);
+        return name || 'igroovie';
+    }
+
+    // batchFileName(pattern, record, index, digits) -> sanitized name without extension
+    function batchFileName(pattern, record, index, digits) {
+        const n = String(index + 1).padStart(digits, '0');
+        if (!pattern || !pattern.trim()) return n;
+        return `${n}-${filenameFromText(fillTemplate(pattern, record, { '#': n }))}`;
+    }
+
+    // ---------------------------------------------------------------------
+    // Renderer
+    // ---------------------------------------------------------------------
+
+    /**
+     * createRenderer(ctx, { imageFor }) -> layout, hit-test and draw functions bound to `ctx`
+     * `ctx` is any 2D context (a browser canvas, node-canvas, skia-canvas);
+     * text is measured with its `measureText()`. `imageFor(src)` returns a
+     * drawable image for a data URL (image layers, pattern fills) or null
+     * while it isn't available, in which case the image is skipped and
+     * pattern fills fall back to the solid color.
+     */
+    function createRenderer(ctx, { imageFor = () => null } = {}) {
+        /**
+         * wrapLines(text, maxWidth) -> string[]
+         * Split text into lines on explicit newlines, then greedily wrap each
+         * paragraph at word boundaries so no line exceeds `maxWidth` (when > 0).
+         * A single word wider than the limit keeps a line to itself. Expects
+         * `ctx.font` to already be set for the item.
+         */
+        function wrapLines(text, maxWidth) {
+            const out = [];
+            for (const para of String(text).split(/\r?\n/)) {
+                if (!(maxWidth > 0)) {
+                    out.push(para);
+                    continue;
+                }
+                const words = para.split(/ +/);
+                let line = '';
+                for (const word of words) {
+                    const candidate = line ? `${line} ${word}` : word;
+                    if (line && ctx.measureText(candidate).width > maxWidth) {
+                        out.push(line);
+                        line = word;
+                    } else {
+                        line = candidate;
+                    }
+                }
+                out.push(line);
+            }
+            return out;
+        }
+
+        /**
+         * measureTextBounds(it) -> {width,height,ascent,descent,lineAdvance,lines}
+         * Wrap the item into lines (after its case transform) and measure each
+         * with `measureText()` in the item's font and spacing. The
+         * block is as wide as its widest line; its height runs from the first
+         * line's ascent to the last line's descent, with `lineHeight × size`
+         * between baselines. When `actualBoundingBox*` metrics are missing we
+         * fall back to conservative estimates derived from font size.
+         */
+        function measureTextBounds(it) {
+            if (hasRuns(it)) return measureRunBounds(it);
+            ctx.save();
+            applyItemFont(ctx, it);
+            const lines = wrapLines(transformText(String(it.text), it.textTransform), it.maxWidth).map((text) => {
+                const m = ctx.measureText(text);
+                return { text, width: m.width, metrics: m };
+            });
+            ctx.restore();
+            const first = lines[0].metrics;
+            const last = lines[lines.length - 1].metrics;
+            const width = Math.max(...lines.map(l => l.width));
+            // actualBoundingBoxAscent / Descent are not available in all browsers; fall back to estimates
+            const ascent = first.actualBoundingBoxAscent || it.size * 0.75;
+            const descent = last.actualBoundingBoxDescent || it.size * 0.25;
+            const lineAdvance = it.size * (it.lineHeight || 1.2);
+            const height = ascent + (lines.length - 1) * lineAdvance + descent;
+            return {
+                width,
+                height,
+                ascent,
+                descent,
+                lineAdvance,
+                lines: lines.map(l => ({ text: l.text, width: l.width }))
+            };
+        }
+
+        /**
+         * measureRunBounds(it) -> same shape as measureTextBounds(), plus per line
+         * `baseline` (offset from the first line's baseline) and `pieces`:
+         * [{ text, style, own, x, width }], x measured from the line start.
+         * Words are wrapped across style changes; every piece of a line sits on
+         * the line's baseline (raised by its own baseline shift), and a line is
+         * `lineHeight ×` its largest size below the previous one.
+         */
+        function measureRunBounds(it) {
+            // tokens: words, spaces and line breaks, each in one style
+            const tokens = [];
+            for (const seg of styledSegments(it)) {
+                for (const text of seg.text.split(/(\r?\n| +)/)) {
+                    if (text) tokens.push({ text, style: seg.style, own: seg.own, br: /^\r?\n$/.test(text), space: /^ +$/.test(text) });
+                }
+            }
+            ctx.save();
+            const measure = (t) => {
+                applyItemFont(ctx, t.style);
+                t.metrics = ctx.measureText(t.text);
+                t.width = t.metrics.width;
+                return t;
+            };
+            tokens.forEach(t => t.br || measure(t));
+            ctx.restore();
+            // greedy wrap: break at spaces once a word would pass maxWidth
+            const rawLines = [[]];
+            let lineWidth = 0;
+            for (let i = 0; i < tokens.length; i++) {
+                const t = tokens[i];
+                let line = rawLines[rawLines.length - 1];
+                if (t.br) {
+                    rawLines.push([]);
+                    lineWidth = 0;
+                    continue;
+                }
+                if (!t.space && it.maxWidth > 0 && line.some(x => !x.space)) {
+                    let word = 0;
+                    for (let j = i; j < tokens.length && !tokens[j].br && !tokens[j].space; j++) word += tokens[j].width;
+                    const before = i > 0 && !tokens[i - 1].space;
+                    if (!before && lineWidth + word > it.maxWidth) {
+                        while (line.length && line[line.length - 1].space) line.pop();
+                        line = [];
+                        rawLines.push(line);
+                        lineWidth = 0;
+                    }
+                }
+                if (t.space && !line.length && rawLines.length > 1 && it.maxWidth > 0) continue;
+                line.push(t);
+                lineWidth += t.width;
+            }
+            // merge neighbouring tokens of the same style into pieces
+            const lines = rawLines.map((tokensOfLine) => {
+                const pieces = [];
+                let x = 0;
+                for (const t of tokensOfLine) {
+                    const last = pieces[pieces.length - 1];
+                    if (last && last.style === t.style) {
+                        last.text += t.text;
+                        last.width += t.width;
+                        last.ink = last.ink || !t.space;
+                    } else {
+                        pieces.push({ text: t.text, style: t.style, own: t.own, x, width: t.width, ink: !t.space });
+                    }
+                    x += t.width;
+                }
+                if (!pieces.length) pieces.push({ text: '', style: it, own: {}, x: 0, width: 0, ink: false });
+                return { text: pieces.map(p => p.text).join(''), width: x, pieces };
+            });
+            // vertical metrics per line from the pieces that paint something
+            ctx.save();
+            for (const line of lines) {
+                const inked = line.pieces.filter(p => p.ink);
+                const measured = (inked.length ? inked : line.pieces).map((p) => {
+                    applyItemFont(ctx, p.style);
+                    const m = ctx.measureText(p.text);
+                    const shift = p.style.baselineShift || 0;
+                    return {
+                        ascent: (m.actualBoundingBoxAscent || p.style.size * 0.75) + shift,
+                        descent: (m.actualBoundingBoxDescent || p.style.size * 0.25) - shift,
+                        size: p.style.size
+                    };
+                });
+                line.ascent = Math.max(...measured.map(m => m.ascent));
+                line.descent = Math.max(...measured.map(m => m.descent));
+                line.size = Math.max(...line.pieces.map(p => p.style.size));
+            }
+            ctx.restore();
+            const lineHeight = it.lineHeight || 1.2;
+            let baseline = 0;
+            lines.forEach((line, i) => {
+                if (i) baseline += line.size * lineHeight;
+                line.baseline = baseline;
+            });
+            const first = lines[0];
+            const last = lines[lines.length - 1];
+            return {
+                width: Math.max(...lines.map(l => l.width)),
+                height: first.ascent + last.baseline + last.descent,
+                ascent: first.ascent,
+                descent: last.descent,
+                lineAdvance: it.size * lineHeight,
+                lines: lines.map(l => ({
+                    text: l.text,
+                    width: l.width,
+                    baseline: l.baseline,
+                    pieces: l.pieces.map(p => ({ text: p.text, style: p.style, own: p.own, x: p.x, width: p.width }))
+                }))
+            };
+        }
+
+        /**
+         * pathLayout(it) -> same shape as textLayout(), for path text: a single
+         * line whose pieces are glyphs, each with x,y at the left end of its
+         * baseline, the `angle` it is turned by and its `width`, `ascent` and
+         * `descent`. `box` bounds every glyph; `points` are the bezier's control
+         * points (null for an arc).
+         */
+        function pathLayout(it) {
+            const glyphs = [];
+            let advance = 0;
+            ctx.save();
+            for (const seg of styledSegments(it)) {
+                const chars = Array.from(seg.text.replace(/\r?\n/g, ' '));
+                if (!chars.length) continue;
+                applyItemFont(ctx, seg.style);
+                const m = ctx.measureText(chars.join(''));
+                const ascent = m.actualBoundingBoxAscent || seg.style.size * 0.75;
+                const descent = m.actualBoundingBoxDescent || seg.style.size * 0.25;
+                // advances taken from growing prefixes keep the font's kerning
+                let before = 0;
+                chars.forEach((ch, i) => {
+                    const upto = ctx.measureText(chars.slice(0, i + 1).join('')).width;
+                    glyphs.push({ text: ch, style: seg.style, own: seg.own, offset: advance + before, width: upto - before, ascent, descent });
+                    before = upto;
+                });
+                advance += before;
+            }
+            ctx.restore();
+            const textAlign = it.textAlign || defaultTextAlign(it.align);
+            const points = it.textPath === 'arc' ? null : pathPointsOf(it, advance);
+            const path = pathWalker(it, points);
+            // an arc is aligned on its start angle, a bezier within its length
+            const origin = it.textPath === 'arc' ? 0 : path.length;
+            const start = textAlign === 'left' ? 0 : textAlign === 'right' ? origin - advance : (origin - advance) / 2;
+            const corners = [];
+            const pieces = glyphs.map((g) => {
+                const mid = path.at(start + g.offset + g.width / 2);
+                const cos = Math.cos(mid.angle);
+                const sin = Math.sin(mid.angle);
+                // back half the advance along the path, up by the baseline shift
+                const shift = g.style.baselineShift || 0;
+                const x = mid.x - cos * g.width / 2 + sin * shift;
+                const y = mid.y - sin * g.width / 2 - cos * shift;
+                for (const [gx, gy] of [[0, -g.ascent], [g.width, -g.ascent], [g.width, g.descent], [0, g.descent]]) {
+                    corners.push({ x: x + cos * gx - sin * gy, y: y + sin * gx + cos * gy });
+                }
+                return { text: g.text, style: g.style, own: g.own, x, y, angle: mid.angle, width: g.width, ascent: g.ascent, descent: g.descent };
+            });
+            const box = corners.length ? boundsOfPoints(corners) : { left: 0, top: 0, right: 0, bottom: 0 };
+            const layout = { width: box.right - box.left, height: box.bottom - box.top };
+            return { layout, box, textAlign, lines: [{ text: pieces.map(p => p.text).join(''), x: box.left, y: 0, pieces }], points };
+        }
+
+        /**
+         * textLayout(it) -> {layout, box, textAlign, lines: [{text, width, x, y, pieces?}]}
+         * Local-space positions of each line's alignment point and baseline.
+         * Items with styled runs also get `pieces` per line: [{text, style, own,
+         * x, y}] placed left-aligned at their own x and shifted baseline; path
+         * text is laid out glyph by glyph (see pathLayout()). Shared by canvas
+         * rendering and the SVG export so both place lines identically.
+         */
+        function textLayout(it) {
+            if (isPathText(it)) return pathLayout(it);
+            const layout = measureTextBounds(it);
+            const box = anchorBox(it.align, layout.width, layout.height);
+            const textAlign = it.textAlign || defaultTextAlign(it.align);
+            let lineX = box.left;
+            if (textAlign === 'center') lineX = box.left + layout.width / 2;
+            else if (textAlign === 'right') lineX = box.right;
+            const lines = layout.lines.map((line, i) => {
+                const out = {
+                    text: line.text,
+                    width: line.width,
+                    x: lineX,
+                    y: box.top + layout.ascent + (line.baseline !== undefined ? line.baseline : i * layout.lineAdvance)
+                };
+                if (line.pieces) {
+                    const start = textAlign === 'center' ? lineX - line.width / 2 : textAlign === 'right' ? lineX - line.width : lineX;
+                    out.pieces = line.pieces.map(p => ({ text: p.text, style: p.style, own: p.own, x: start + p.x, y: out.y - (p.style.baselineShift || 0) }));
+                }
+                return out;
+            });
+            return { layout, box, textAlign, lines };
+        }
+
+        /**
+         * contentBox(it) -> {left,top,right,bottom}
+         * Local-space box of the item's text block, image or shape (before transforms).
+         */
+        function contentBox(it) {
+            if (it.type === 'image' || it.type === 'shape') return anchorBox(it.align, it.width, it.height);
+            if (isPathText(it)) return pathLayout(it).box;
+            const metrics = measureTextBounds(it);
+            return anchorBox(it.align, metrics.width, metrics.height);
+        }
+
+        /**
+         * localVisualBox(it) -> {left,top,right,bottom}
+         * The local text box grown by what transforms with the item (outline
+         * and background plate) plus glow and shadow blur. Glow and shadow are
+         * painted in canvas pixels, so they are converted to local units here.
+         * The drop shadow offset is handled separately by the callers.
+         */
+        function localVisualBox(it) {
+            const b = contentBox(it);
+            if (it.type === 'shape') {
+                // shape outlines (and line caps) reach half their width past the box
+                const half = it.stroke || it.shape === 'line' || it.shape === 'arrow' ? (it.strokeWidth || 0) / 2 : 0;
+                return { left: b.left - half, top: b.top - half, right: b.right + half, bottom: b.bottom + half };
+            }
+            const stroke = it.stroke ? it.strokeWidth || 0 : 0;
+            let grow = stroke;
+            if (it.plate) grow = Math.max(grow, it.platePadding || 0);
+            const scale = itemScale(it);
+            if (it.glow) grow = Math.max(grow, stroke + (it.glowSize || 0) / scale);
+            if (it.shadow) grow = Math.max(grow, stroke + (it.shadowBlur || 0) / scale);
+            return { left: b.left - grow, top: b.top - grow, right: b.right + grow, bottom: b.bottom + grow };
+        }
+
+        /**
+         * itemBounds(it) -> {left,top,right,bottom}
+         * Axis-aligned canvas box around the item's transformed text block.
+         */
+        function itemBounds(it) {
+            return boundsOfPoints(corners(itemMatrix(it), contentBox(it)));
+        }
+
+        /**
+         * visualBounds(it) -> {left,top,right,bottom}
+         * Axis-aligned canvas box covering everything the item paints: outline,
+         * glow, drop shadow and background plate, after its transform.
+         */
+        function visualBounds(it) {
+            const pts = corners(itemMatrix(it), localVisualBox(it));
+            const b = boundsOfPoints(pts);
+            if (!it.shadow) return b;
+            const s = boundsOfPoints(pts, it.shadowOffsetX || 0, it.shadowOffsetY || 0);
+            return {
+                left: Math.min(b.left, s.left),
+                top: Math.min(b.top, s.top),
+                right: Math.max(b.right, s.right),
+                bottom: Math.max(b.bottom, s.bottom)
+            };
+        }
+
+        // unionBounds(list) -> {left,top,right,bottom} around several items' itemBounds
+        function unionBounds(list) {
+            const all = list.map(itemBounds);
+            return {
+                left: Math.min(...all.map(b => b.left)),
+                top: Math.min(...all.map(b => b.top)),
+                right: Math.max(...all.map(b => b.right)),
+                bottom: Math.max(...all.map(b => b.bottom))
+            };
+        }
+
+        // hitsItem(it, x, y): test a canvas point in the item's local space, so
+        // rotated and skewed text is hit where it's drawn. The drop shadow is
+        // offset in canvas pixels, so it gets a second test with the offset removed.
+        // Path text without a plate is hit on its glyphs rather than on the box
+        // around the whole curve.
+        function hitsItem(it, x, y) {
+            const box = localVisualBox(it);
+            const inv = invertMatrix(itemMatrix(it));
+            const glyphs = isPathText(it) && !it.plate ? pathLayout(it).lines[0].pieces : null;
+            const pad = it.stroke ? it.strokeWidth || 0 : 0;
+            const inBox = (px, py) => {
+                const p = applyMatrix(inv, px, py);
+                if (glyphs) return glyphs.some(g => hitsGlyph(g, p.x, p.y, pad));
+                return p.x >= box.left && p.x <= box.right && p.y >= box.top && p.y <= box.bottom;
+            };
+            if (inBox(x, y)) return true;
+            return !!it.shadow && inBox(x - (it.shadowOffsetX || 0), y - (it.shadowOffsetY || 0));
+        }
+
+        /**
+         * findItemAt(list, x, y) -> index
+         * Hit-test items from topmost to bottommost. Returns the index of the
+         * top-most item under the provided canvas pixel coordinates, or -1.
+         * Hidden and locked items are skipped.
+         */
+        function findItemAt(list, x, y) {
+            for (let i = list.length - 1; i >= 0; i--) {
+                if (list[i].hidden || list[i].locked) continue;
+                if (hitsItem(list[i], x, y)) return i;
+            }
+            return -1;
+        }
+
+        // drawItem(it): draw a text, image or shape item.
+        function drawItem(it) {
+            if (it.type === 'image') drawImageItem(it);
+            else if (it.type === 'shape') drawShapeItem(it);
+            else drawTextItem(it);
+        }
+
+        /**
+         * drawShapeItem(it)
+         * Fill, then outline, the shape's path inside the item transform. The
+         * outline is centered on the edge. Lines and arrows run along the box's
+         * horizontal center and are drawn with the outline color and width; the
+         * arrow head is as tall as the box.
+         */
+        function drawShapeItem(it) {
+            const box = contentBox(it);
+            const cy = (box.top + box.bottom) / 2;
+            const sw = Math.max(0, it.strokeWidth || 0);
+            ctx.save();
+            ctx.transform(...itemMatrix(it));
+            ctx.globalAlpha *= itemOpacity(it);
+            ctx.lineJoin = it.strokeJoin || 'round';
+            ctx.strokeStyle = it.strokeColor || '#000';
+            ctx.lineWidth = sw;
+            if (it.shape === 'line' || it.shape === 'arrow') {
+                const head = it.shape === 'arrow' ? arrowHead(it, box) : null;
+                ctx.lineCap = it.cornerRadius > 0 ? 'round' : 'butt';
+                ctx.beginPath();
+                ctx.moveTo(box.left, cy);
+                ctx.lineTo(head ? head.base : box.right, cy);
+                if (sw > 0) ctx.stroke();
+                if (head) {
+                    ctx.fillStyle = it.strokeColor || '#000';
+                    ctx.beginPath();
+                    head.points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            } else {
+                shapePath(it, box);
+                if (it.fill) {
+                    ctx.fillStyle = it.color || '#ffffff';
+                    ctx.fill();
+                }
+                if (it.stroke && sw > 0) ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        // shapePath(it, box): trace a closed shape (rect, rounded rect, ellipse) on ctx
+        function shapePath(it, box) {
+            const w = box.right - box.left;
+            const h = box.bottom - box.top;
+            if (it.shape === 'ellipse') {
+                ctx.beginPath();
+                ctx.ellipse(box.left + w / 2, box.top + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+            } else {
+                roundRectPath(box.left, box.top, w, h, it.shape === 'roundrect' ? it.cornerRadius || 0 : 0);
+            }
+        }
+
+        /**
+         * drawImageItem(it)
+         * Draw an image layer at its natural size inside the item transform.
+         * An image that is still decoding is skipped; the load triggers a redraw.
+         */
+        function drawImageItem(it) {
+            const img = imageFor(it.src);
+            if (!img) return;
+            const box = contentBox(it);
+            ctx.save();
+            ctx.transform(...itemMatrix(it));
+            ctx.globalAlpha *= itemOpacity(it);
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(img, box.left, box.top, it.width, it.height);
+            ctx.restore();
+        }
+
+        /**
+         * drawTextItem(it)
+         * Draw one text item line by line. The block is positioned by its anchor
+         * (`align`) and each line is aligned inside the block by `textAlign`.
+         * Effects are layered back to front: background plate, glow, drop
+         * shadow, then the outline and fill on top. Glow and shadow sizes are
+         * canvas pixels (canvas shadows ignore the transform), so a drop shadow
+         * keeps pointing the same way when the text is rotated.
+         */
+        function drawTextItem(it) {
+            const { layout, box, textAlign, lines } = textLayout(it);
+
+            ctx.save();
+            // Move into the item's local space (see itemMatrix()); everything
+            // below is drawn relative to the anchor point at the origin.
+            ctx.translate(it.x, it.y);
+            ctx.rotate((it.rotation || 0) * Math.PI / 180);
+            ctx.transform(1, Math.tan((it.skewY || 0) * Math.PI / 180), Math.tan((it.skewX || 0) * Math.PI / 180), 1, 0, 0);
+            ctx.scale(it.scaleX === undefined ? 1 : it.scaleX, it.scaleY === undefined ? 1 : it.scaleY);
+            ctx.globalAlpha *= itemOpacity(it);
+            if (it.plate) {
+                const pad = it.platePadding || 0;
+                ctx.save();
+                ctx.globalAlpha *= clamp(it.plateOpacity, 0, 1);
+                ctx.fillStyle = it.plateColor || '#000';
+                roundRectPath(box.left - pad, box.top - pad, layout.width + pad * 2, layout.height + pad * 2, it.plateRadius || 0);
+                ctx.fill();
+                ctx.restore();
+            }
+
+            // Use CSS font-family with fallbacks to improve rendering when a font isn't available
+            applyItemFont(ctx, it);
+            ctx.textBaseline = 'alphabetic';
+            ctx.textAlign = textAlign;
+            ctx.fillStyle = makeFillStyle(it, box);
+            ctx.lineJoin = it.strokeJoin || 'round';
+            ctx.miterLimit = 3;
+            // The stroke is centered on the glyph edge and painted under the fill,
+            // so doubling the width gives an outline of `strokeWidth` outside the text.
+            const hasStroke = it.stroke && it.strokeWidth > 0;
+            if (hasStroke) {
+                ctx.strokeStyle = it.strokeColor || '#000';
+                ctx.lineWidth = it.strokeWidth * 2;
+            }
+            const fill = ctx.fillStyle;
+            // An animation frame may set `reveal`: only that many characters are
+            // painted (typewriter), each where the full text puts it.
+            const paintText = () => {
+                let left = it.reveal === undefined ? Infinity : it.reveal;
+                for (const line of lines) {
+                    if (left <= 0) break;
+                    if (!line.pieces) {
+                        let text = line.text;
+                        let x = line.x;
+                        ctx.textAlign = textAlign;
+                        if (left < text.length) {
+                            text = text.slice(0, left);
+                            x -= textAlign === 'center' ? line.width / 2 : textAlign === 'right' ? line.width : 0;
+                            ctx.textAlign = 'left';
+                        }
+                        left -= line.text.length;
+                        if (hasStroke) ctx.strokeText(text, x, line.y);
+                        ctx.fillText(text, x, line.y);
+                        continue;
+                    }
+                    // styled runs: each piece in its own font, a run color
+                    // replacing the item's fill; the outline stays the item's
+                    ctx.textAlign = 'left';
+                    for (const piece of line.pieces) {
+                        if (left <= 0) break;
+                        const p = left < piece.text.length ? Object.assign({}, piece, { text: piece.text.slice(0, left) }) : piece;
+                        left -= piece.text.length;
+                        applyItemFont(ctx, p.style);
+                        if (p.angle) {
+                            // a glyph on a path, turned about its baseline origin;
+                            // gradients and patterns are rebuilt for its space
+                            ctx.save();
+                            ctx.translate(p.x, p.y);
+                            ctx.rotate(p.angle);
+                            ctx.fillStyle = p.own.color || makeFillStyle(it, box, p);
+                            if (hasStroke) ctx.strokeText(p.text, 0, 0);
+                            ctx.fillText(p.text, 0, 0);
+                            ctx.restore();
+                            continue;
+                        }
+                        ctx.fillStyle = p.own.color || fill;
+                        if (hasStroke) ctx.strokeText(p.text, p.x, p.y);
+                        ctx.fillText(p.text, p.x, p.y);
+                    }
+                }
+            };
+
+            if (it.glow && it.glowSize > 0) {
+                ctx.save();
+                ctx.shadowColor = it.glowColor || '#fff';
+                ctx.shadowBlur = it.glowSize;
+                // two passes give the glow a denser core than a single blur
+                paintText();
+                paintText();
+                ctx.restore();
+            }
+            if (it.shadow) {
+                ctx.save();
+                ctx.shadowColor = colorWithAlpha(it.shadowColor, it.shadowOpacity);
+                ctx.shadowBlur = it.shadowBlur || 0;
+                ctx.shadowOffsetX = it.shadowOffsetX || 0;
+                ctx.shadowOffsetY = it.shadowOffsetY || 0;
+                paintText();
+                ctx.restore();
+            }
+            paintText();
+            ctx.restore();
+        }
+
+        /**
+         * makeFillStyle(it, box, glyph) -> CanvasGradient | CanvasPattern | string
+         * Build the fill for an item. Gradients span the item's measured text
+         * box and patterns are anchored to its top-left corner, so the fill
+         * travels with the text when it is dragged. Falls back to the solid
+         * `color` when the fill can't be built (e.g. a pattern still loading).
+         * With a path `glyph` ({x, y, angle}) the fill is expressed in the
+         * glyph's turned space, so it still lines up across the whole item.
+         */
+        function makeFillStyle(it, box, glyph = null) {
+            const solid = it.color || '#fff';
+            const stops = Array.isArray(it.fillStops) ? it.fillStops : [];
+            if (glyph && it.fillType !== 'linear' && it.fillType !== 'radial' && it.fillType !== 'pattern') return solid;
+            const cos = glyph ? Math.cos(glyph.angle) : 1;
+            const sin = glyph ? Math.sin(glyph.angle) : 0;
+            const toGlyph = (x, y) => (glyph
+                ? { x: (x - glyph.x) * cos + (y - glyph.y) * sin, y: (y - glyph.y) * cos - (x - glyph.x) * sin }
+                : { x, y });
+            const g = gradientGeometry(it, box);
+            let grad = null;
+            if (it.fillType === 'linear') {
+                const p0 = toGlyph(g.x0, g.y0);
+                const p1 = toGlyph(g.x1, g.y1);
+                grad = ctx.createLinearGradient(p0.x, p0.y, p1.x, p1.y);
+            } else if (it.fillType === 'radial') {
+                const c = toGlyph(g.cx, g.cy);
+                grad = ctx.createRadialGradient(c.x, c.y, 0, c.x, c.y, g.r);
+            } else if (it.fillType === 'pattern') {
+                const img = imageFor(it.fillPattern);
+                if (!img) return solid;
+                const pattern = ctx.createPattern(img, 'repeat');
+                if (!pattern) return solid;
+                const scale = (it.patternScale || 100) / 100;
+                if (pattern.setTransform && typeof DOMMatrix !== 'undefined') {
+                    const m = new DOMMatrix();
+                    if (glyph) m.rotateSelf(-glyph.angle * 180 / Math.PI).translateSelf(-glyph.x, -glyph.y);
+                    pattern.setTransform(m.translateSelf(box.left, box.top).scaleSelf(scale, scale));
+                }
+                return pattern;
+            }
+            if (!grad || stops.length < 2) return solid;
+            for (const st of stops) {
+                grad.addColorStop(clamp(st.offset, 0, 1), colorWithAlpha(st.color, st.alpha));
+            }
+            return grad;
+        }
+
+        // roundRectPath(x, y, w, h, r): begin a rounded-rectangle path on `ctx`.
+        // Written out with arcs because `ctx.roundRect()` is missing in older browsers.
+        function roundRectPath(x, y, w, h, r) {
+            const rr = clamp(r, 0, Math.min(w, h) / 2);
+            ctx.beginPath();
+            ctx.moveTo(x + rr, y);
+            ctx.arcTo(x + w, y, x + w, y + h, rr);
+            ctx.arcTo(x + w, y + h, x, y + h, rr);
+            ctx.arcTo(x, y + h, x, y, rr);
+            ctx.arcTo(x, y, x + w, y, rr);
+            ctx.closePath();
+        }
+
+        /**
+         * fitTemplate(t, width, height) -> items fitted to a width×height canvas
+         * The layout keeps its shape: it is scaled uniformly by the smaller of
+         * the two canvas ratios (like a 'scale' canvas resize) around the center
+         * of its bounds, and that center is placed proportionally. On a canvas
+         * of the same aspect this is a plain proportional mapping; on another
+         * aspect a lower third stays in its corner with its bar behind its text.
+         */
+        function fitTemplate(t, width, height) {
+            const rx = width / t.width;
+            const ry = height / t.height;
+            const f = Math.min(rx, ry);
+            const list = t.items.map(normalizeItem);
+            if (!list.length) return list;
+            const bounds = list.map(itemBounds);
+            const cx = (Math.min(...bounds.map(b => b.left)) + Math.max(...bounds.map(b => b.right))) / 2;
+            const cy = (Math.min(...bounds.map(b => b.top)) + Math.max(...bounds.map(b => b.bottom))) / 2;
+            for (const it of list) {
+                it.x = cx * rx + (it.x - cx) * f;
+                it.y = cy * ry + (it.y - cy) * f;
+                if (f !== 1) scaleItemBy(it, f);
+            }
+            return list;
+        }
+
+        // renderItems(list, width, height): clear a width×height canvas and draw
+        // every visible item, bottom first (what a PNG export contains)
+        function renderItems(list, width, height) {
+            ctx.clearRect(0, 0, width, height);
+            for (const it of list) {
+                if (!it.hidden) drawItem(it);
+            }
+        }
+
+        return {
+            wrapLines, measureTextBounds, measureRunBounds, pathLayout, textLayout,
+            contentBox, localVisualBox, itemBounds, visualBounds, unionBounds, hitsItem, findItemAt,
+            drawItem, drawShapeItem, drawImageItem, drawTextItem, makeFillStyle, roundRectPath,
+            fitTemplate, renderItems
+        };
+    }
+
+    return {
+        MIN_CANVAS_SIDE, MAX_CANVAS_SIDE, STYLE_DEFAULTS, FILL_TYPES, TEXT_TRANSFORMS, TEXT_PATHS, STYLE_FIELDS,
+        SHAPE_KINDS, SHAPE_FIELDS, ANIMATIONS, ANIM_DEFAULTS, ANIM_FIELDS, ALIGN_VALUES, TEXT_ALIGN_VALUES,
+        RUN_PROPS, PATH_POINT_COUNT, PROJECT_FORMAT, PROJECT_VERSION, COMMAND_TYPES, BUILTIN_TEMPLATES, PLACEHOLDER_RE,
+        styleDefaults, imageDefaults, shapeDefaults, normalizeItem, defaultTextAlign, scaleItemBy,
+        clamp, hexToRgb, colorWithAlpha, itemOpacity, fontFamilyToCSS, itemFont, applyItemFont, transformText,
+        hasRuns, runStyle, runSegments, compactRuns, styleRange, validRuns, spliceRuns, adjustRunsForEdit, setRuns, styledSegments,
+        isPathText, pathPointsOf, bezierPoint, pathWalker, hitsGlyph,
+        anchorBox, itemMatrix, applyMatrix, invertMatrix, itemScale, corners, boundsOfPoints, gradientGeometry, arrowHead,
+        migrateProject, validateProject,
+        fillTemplate, fillItemText, parseCSV, parseRecordsJSON, filenameFromText, batchFileName,
+        createRenderer
+    };
+});
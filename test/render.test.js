@@ -0,0 +1,195 @@
+// Unit tests for the layout and hit-testing math in render.js.
+// Run with `npm test`; no browser or canvas package is needed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    anchorBox, defaultTextAlign, itemMatrix, applyMatrix, invertMatrix, fontFamilyToCSS,
+    normalizeItem, fillItemText, validateProject, PROJECT_FORMAT, PROJECT_VERSION, BUILTIN_TEMPLATES,
+    createRenderer
+} = require('../render.js');
+
+// fakeContext() -> just enough of a 2D context to measure text: every
+// character is half the font size wide, ascent 0.75 and descent 0.25 of it.
+function fakeContext() {
+    return {
+        font: '10px sans-serif',
+        save() {},
+        restore() {},
+        measureText(text) {
+            const size = parseFloat(/([\d.]+)px/.exec(this.font)[1]);
+            return { width: text.length * size / 2, actualBoundingBoxAscent: size * 0.75, actualBoundingBoxDescent: size * 0.25 };
+        }
+    };
+}
+
+const text = props => normalizeItem(Object.assign({ text: 'Hello', x: 0, y: 0, size: 100, family: 'Arial' }, props));
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test('anchorBox places the block around the anchor by its align corner', () => {
+    assert.deepEqual(anchorBox('center', 200, 100), { left: -100, top: -50, right: 100, bottom: 50 });
+    assert.deepEqual(anchorBox('top-left', 200, 100), { left: 0, top: 0, right: 200, bottom: 100 });
+    assert.deepEqual(anchorBox('top-right', 200, 100), { left: -200, top: 0, right: 0, bottom: 100 });
+    assert.deepEqual(anchorBox('bottom-left', 200, 100), { left: 0, top: -100, right: 200, bottom: 0 });
+    assert.deepEqual(anchorBox('bottom-right', 200, 100), { left: -200, top: -100, right: 0, bottom: 0 });
+    assert.deepEqual(anchorBox('unknown', 200, 100), anchorBox('center', 200, 100));
+});
+
+test('paragraph alignment follows the anchor side by default', () => {
+    assert.equal(defaultTextAlign('top-left'), 'left');
+    assert.equal(defaultTextAlign('bottom-right'), 'right');
+    assert.equal(defaultTextAlign('center'), 'center');
+    assert.equal(defaultTextAlign(undefined), 'center');
+});
+
+test('fontFamilyToCSS adds fallbacks, also for unknown families', () => {
+    assert.equal(fontFamilyToCSS('Lora'), "'Lora', serif");
+    assert.equal(fontFamilyToCSS('My Brand'), "'My Brand', sans-serif");
+});
+
+test('itemMatrix and invertMatrix round-trip a point', () => {
+    const m = itemMatrix({ x: 300, y: 200, rotation: 30, skewX: 10, scaleX: 2, scaleY: 0.5 });
+    const p = applyMatrix(m, 12, -34);
+    const back = applyMatrix(invertMatrix(m), p.x, p.y);
+    close(back.x, 12, 'x');
+    close(back.y, -34, 'y');
+});
+
+test('measureTextBounds wraps at maxWidth and stacks lines by lineHeight', () => {
+    const r = createRenderer(fakeContext());
+    const one = r.measureTextBounds(text());
+    assert.equal(one.width, 250);
+    close(one.height, 100, 'single line height');
+    // "Hello big" is 450 wide, so a 300 px limit wraps after each word
+    const wrapped = r.measureTextBounds(text({ text: 'Hello big world', maxWidth: 300, lineHeight: 1.5 }));
+    assert.deepEqual(wrapped.lines.map(l => l.text), ['Hello', 'big', 'world']);
+    assert.equal(wrapped.width, 250);
+    close(wrapped.height, 75 + 2 * 150 + 25, 'three lines');
+    assert.deepEqual(r.measureTextBounds(text({ text: 'a\nbcd' })).lines.map(l => l.width), [50, 150]);
+});
+
+test('measureTextBounds applies the case transform before measuring', () => {
+    const r = createRenderer(fakeContext());
+    assert.equal(r.measureTextBounds(text({ text: 'hello world', textTransform: 'title' })).lines[0].text, 'Hello World');
+});
+
+test('textLayout puts each line at its paragraph alignment point', () => {
+    const r = createRenderer(fakeContext());
+    const it = text({ text: 'abcd\nab', align: 'top-left' });
+    const left = r.textLayout(Object.assign({}, it, { textAlign: 'left' }));
+    assert.deepEqual(left.lines.map(l => l.x), [0, 0]);
+    assert.deepEqual(left.lines.map(l => l.y), [75, 195]);
+    assert.equal(r.textLayout(Object.assign({}, it, { textAlign: 'center' })).lines[0].x, 100);
+    assert.equal(r.textLayout(Object.assign({}, it, { textAlign: 'right' })).lines[0].x, 200);
+});
+
+test('styled runs share the line baseline and grow the line', () => {
+    const r = createRenderer(fakeContext());
+    const m = r.measureTextBounds(text({ text: 'ab cd', runs: [{ start: 3, end: 5, size: 200 }] }));
+    assert.deepEqual(m.lines[0].pieces.map(p => [p.text, p.x, p.width]), [['ab ', 0, 150], ['cd', 150, 200]]);
+    close(m.ascent, 150, 'ascent of the larger run');
+    close(m.height, 150 + 50, 'height of the larger run');
+});
+
+test('an arc keeps every glyph on the circle', () => {
+    const r = createRenderer(fakeContext());
+    const it = text({ text: 'ARC', size: 40, textPath: 'arc', arcRadius: 500 });
+    const glyphs = r.pathLayout(it).lines[0].pieces;
+    assert.equal(glyphs.length, 3);
+    for (const g of glyphs) {
+        // the middle of each glyph's baseline lies on the circle
+        const mx = g.x + Math.cos(g.angle) * g.width / 2;
+        const my = g.y + Math.sin(g.angle) * g.width / 2;
+        close(Math.hypot(mx, my), 500, `radius of ${g.text}`);
+    }
+    // centered on the top of the circle
+    close(glyphs[1].x + Math.cos(glyphs[1].angle) * glyphs[1].width / 2, 0, 'middle glyph x');
+});
+
+test('hitsItem follows rotation and the drop shadow', () => {
+    const r = createRenderer(fakeContext());
+    // 250×100 box centered on (1000, 500), turned a quarter: 100 wide, 250 tall
+    const turned = text({ x: 1000, y: 500, rotation: 90 });
+    assert.ok(r.hitsItem(turned, 1000, 600));
+    assert.ok(!r.hitsItem(turned, 1100, 500));
+    const shadowed = text({ x: 1000, y: 500, shadow: true, shadowOffsetX: 400, shadowOffsetY: 0, shadowBlur: 0 });
+    assert.ok(r.hitsItem(shadowed, 1400, 500));
+    assert.ok(!r.hitsItem(text({ x: 1000, y: 500 }), 1400, 500));
+});
+
+test('hitsItem on path text only hits the glyphs', () => {
+    const r = createRenderer(fakeContext());
+    const it = text({ text: 'ARC', size: 40, textPath: 'arc', arcRadius: 500, x: 1000, y: 1000 });
+    // the glyphs sit on the outside of the circle, whose top is at y = 500
+    assert.ok(r.hitsItem(it, 1000, 490), 'on the middle glyph');
+    assert.ok(!r.hitsItem(it, 1000, 1000), 'at the center of the circle');
+});
+
+test('findItemAt returns the top-most visible, unlocked item', () => {
+    const r = createRenderer(fakeContext());
+    const shape = normalizeItem({ type: 'shape', shape: 'rect', x: 500, y: 500, width: 400, height: 400 });
+    const label = text({ x: 500, y: 500 });
+    assert.equal(r.findItemAt([shape, label], 500, 500), 1);
+    assert.equal(r.findItemAt([shape, label], 680, 500), 0);
+    assert.equal(r.findItemAt([shape, Object.assign({}, label, { hidden: true })], 500, 500), 0);
+    assert.equal(r.findItemAt([shape, Object.assign({}, label, { locked: true })], 500, 500), 0);
+    assert.equal(r.findItemAt([shape, label], 5, 5), -1);
+});
+
+test('visualBounds include the outline and the shadow offset', () => {
+    const r = createRenderer(fakeContext());
+    const b = r.visualBounds(text({ stroke: true, strokeWidth: 10, shadow: true, shadowBlur: 0, shadowOffsetX: 20, shadowOffsetY: 30 }));
+    assert.deepEqual(b, { left: -135, top: -60, right: 155, bottom: 90 });
+});
+
+test('fitTemplate scales a layout to a larger canvas of the same aspect', () => {
+    const r = createRenderer(fakeContext());
+    const t = BUILTIN_TEMPLATES.find(t => t.name === 'Title + subtitle');
+    const [title] = r.fitTemplate(t, 3840, 2160);
+    assert.equal(title.size, 320);
+    close(title.x, 1920, 'x');
+    close(title.y, 1000, 'y');
+});
+
+test('fillItemText fills placeholders and moves styled runs with them', () => {
+    const it = text({ text: '{{name}} says hi', runs: [{ start: 14, end: 16, fontWeight: 700 }] });
+    assert.deepEqual(fillItemText(it, { name: 'Ada' }), { text: 'Ada says hi', runs: [{ start: 9, end: 11, fontWeight: 700 }] });
+    assert.equal(fillItemText(text({ text: '{{missing}}' }), {}).text, '{{missing}}');
+});
+
+test('validateProject lists every problem at once', () => {
+    const project = { format: PROJECT_FORMAT, version: PROJECT_VERSION, canvas: { width: 1920, height: 1080 }, items: [text({ align: 'middle' }), { x: 0, y: 0, type: 'blob' }] };
+    assert.throws(() => validateProject(project), (err) => {
+        assert.match(err.message, /Item 1: unknown "align" value "middle"/);
+        assert.match(err.message, /Item 2: unknown "type" value "blob"/);
+        return true;
+    });
+});
+
+test('validateProject leaves out a saved history with malformed steps', () => {
+    const base = { format: PROJECT_FORMAT, version: PROJECT_VERSION, canvas: { width: 1920, height: 1080 }, items: [text()] };
+    const hi = { text: 'Hi', x: 0, y: 0, size: 50, family: 'Arial' };
+    const good = { done: [{ type: 'insert', label: 'Add text', index: 0, item: hi }], undone: [{ type: 'batch', label: 'Paste 2 items', steps: [{ type: 'insert', index: 1, item: hi }, { type: 'insert', index: 2, item: hi }] }] };
+    const kept = validateProject(Object.assign({}, base, { history: good }));
+    assert.deepEqual(kept.warnings, []);
+    assert.equal(kept.history.done[0].item.align, 'center', 'embedded items are normalized');
+    assert.equal(kept.history.undone[0].steps[1].item.align, 'center', 'also inside batches');
+    for (const step of [
+        { type: 'props', label: 'x' },
+        { type: 'replace', label: 'Clear', before: {}, after: null },
+        { type: 'remove', label: 'Delete', index: 0, item: { x: 0, y: 0, type: 'image', src: 'https://example.com/a.png', width: 1, height: 1 } },
+        { type: 'reorder', label: 'Move', from: 0.5, to: 1 },
+        { type: 'batch', label: 'Delete 2 items', steps: [{ type: 'reorder', from: 0, to: 1 }] }
+    ]) {
+        const dropped = validateProject(Object.assign({}, base, { history: { done: [step], undone: [] } }));
+        assert.equal(dropped.history, undefined, step.label);
+        assert.match(dropped.warnings[0], /^The saved undo history could not be used/);
+        assert.equal(dropped.items.length, 1);
+    }
+});
+
+test('validateProject only accepts image data URLs as pattern fills', () => {
+    const project = fillPattern => ({ format: PROJECT_FORMAT, version: PROJECT_VERSION, canvas: { width: 1920, height: 1080 }, items: [text({ fillPattern })] });
+    assert.doesNotThrow(() => validateProject(project('')));
+    assert.doesNotThrow(() => validateProject(project('data:image/png;base64,AAAA')));
+    assert.throws(() => validateProject(project('https://example.com/tile.png')), /Item 1: "fillPattern" must be an image data URL/);
+});